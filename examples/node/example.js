@@ -0,0 +1,44 @@
+/**
+ * Renders a map to SVG file without browser
+ * Run with `npm run build:node`
+ */
+const fs = require('fs');
+const path = require('path');
+
+const {renderSVG} = require('../../dist/choropleth.cjs.js');
+
+const topology = JSON.parse(fs.readFileSync(path.join(__dirname, '../../src/topology/us-atlas/states-10m.json'), 'utf8'));
+
+// Population by state, millions
+const data = [
+  {id: '06', value: 39.5}, {id: '48', value: 29.1}, {id: '12', value: 21.5}, {id: '36', value: 20.2},
+  {id: '42', value: 13.0}, {id: '17', value: 12.8}, {id: '39', value: 11.8}, {id: '13', value: 10.7},
+  {id: '37', value: 10.4}, {id: '26', value: 10.1}, {id: '34', value: 9.3}, {id: '51', value: 8.6},
+  {id: '53', value: 7.7}, {id: '04', value: 7.2}, {id: '25', value: 7.0}, {id: '47', value: 6.9},
+  {id: '18', value: 6.8}, {id: '29', value: 6.2}, {id: '24', value: 6.2}, {id: '55', value: 5.9},
+  {id: '08', value: 5.8}, {id: '27', value: 5.7}, {id: '45', value: 5.1}, {id: '01', value: 5.0},
+  {id: '22', value: 4.7}, {id: '21', value: 4.5}, {id: '41', value: 4.2}, {id: '40', value: 4.0},
+  {id: '09', value: 3.6}, {id: '49', value: 3.3}, {id: '19', value: 3.2}, {id: '32', value: 3.1},
+  {id: '05', value: 3.0}, {id: '28', value: 3.0}, {id: '20', value: 2.9}, {id: '35', value: 2.1},
+  {id: '31', value: 2.0}, {id: '16', value: 1.8}, {id: '54', value: 1.8}, {id: '15', value: 1.5},
+  {id: '33', value: 1.4}, {id: '23', value: 1.4}, {id: '30', value: 1.1}, {id: '44', value: 1.1},
+  {id: '10', value: 1.0}, {id: '46', value: 0.9}, {id: '38', value: 0.8}, {id: '02', value: 0.7},
+  {id: '11', value: 0.7}, {id: '50', value: 0.6}, {id: '56', value: 0.6}
+];
+
+const svg = renderSVG({
+  width: 960,
+  height: 600,
+  topography: topology,
+  topographyGranularity: 'states',
+  data: data,
+  colorScheme: 'single-hue',
+  colorRamp: 'Blues',
+  classification: 'quantile',
+  legend: true,
+  labels: true,
+  labelsSource: 'name'
+});
+
+fs.writeFileSync(path.join(__dirname, 'map.svg'), svg);
+console.log('map.svg written');
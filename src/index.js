@@ -1,723 +1,5239 @@
 import css from "./css/choropleth.css";
+import * as d3 from "d3";
+import {queue} from "d3-queue";
+import * as topojson from "topojson-client";
 
-(function (window, $) {
+/**
+ * Private properties
+ */
 
-  /**
-   * Private properties
-   */
-  var D3 = window.d3, topojson = window.topojson;
-
-  // ad-hoc function mapping for various layers
-  var _mapping = {
-    'nation': renderPath,
-    'states': renderPath,
-    'counties': renderPath,
-    'zones': renderPoint
-  }
-
-  var defaults = {
-    location: '/',
-    // elements
-    element: null,  // container to which SVG will be added
-    // sizes
-    width: null,
-    height: null,
-    aspectRatio: null,
-    // Data, can be initialized after
+// ad-hoc function mapping for various layers
+var _mapping = {
+  'nation': renderPath,
+  'states': renderPath,
+  'counties': renderPath,
+  'zones': renderPoint
+}
+
+var defaults = {
+  location: '/',
+  // elements
+  element: null,  // container to which SVG will be added
+  // sizes
+  width: null,
+  height: null,
+  aspectRatio: null,
+  // Data, can be initialized after
+  data: null,       // array of rows, GeoJSON FeatureCollection, Promise of either or url of a json/csv/tsv file
+  dataFormat: null, // json, csv or tsv; detected from url extension or response content type when null
+  row: null,        // function(row, i, columns) converting rows; csv/tsv numbers are coerced by default
+  // Geometries
+  topography: null,
+  topographyGranularity: null,
+  extraLayers: [],   // reference layers: topology object names or {name, object, data, mesh, style, zIndex, visible}, see drawLayer
+  topologyAdditions: null,
+  // Groups, topographyGranularity names the layer of dissolved groups
+  groups: null,            // {id: [member ids]} or [{id, name, members}], members are groupsSource feature ids
+  groupsSource: 'states',  // topology object the groups are made of
+  groupsAggregate: 'sum',  // sum, mean, weightedMean, function(rows, field) or {field: aggregate}
+  groupsWeight: null,      // data field weighting weightedMean, e.g. 'population'
+  groupsFields: null,      // data fields aggregated, fields of the color scheme, symbols and dots by default
+  // Data binding
+  dataKey: 'id',        // data row property or function(row) returning the join key
+  featureKey: 'id',     // 'id', feature property or function(feature) returning the join key
+  keyNormalizer: 'number', // number, fips2, fips5, usps, name or function(key)
+  joinWarnings: 'data',    // warn about unmatched and duplicate data rows, 'all' also about unmatched features, false for none
+  // Color scheme
+  colorScheme: 'qualitative',
+  colorData: {0:'#cccccc', 1:'#777777'},
+  colorRamp: null,  // d3-scale-chromatic scheme name, interpolator or array of colors
+  classification: 'quantile', // quantile, equal-interval, jenks, threshold, continuous
+  classes: 5,
+  thresholds: null, // user-supplied class breaks for 'threshold' classification
+  midpoint: 0,      // center of the 'bipolar' scheme
+  bivariateFields: null, // [x, y] data fields of the 'bivariate' scheme, each classified into 3 classes
+  bivariateLabels: null, // legend axis labels [x, y], field names by default
+  // props
+  labels: false,
+  labelsFiltered: true,   // label only regions with data, false for all regions or function(feature, row)
+  labelsSource: null,     // property shown by labels, name by default
+  labelsTemplate: null,   // label text template, see renderTemplate, e.g. '[[name]] [[value|.0%]]'
+  labelsExclude: null, // ids of regions without labels or function(feature, row)
+  labelsPlacement: 'polylabel', // polylabel places labels furthest from region edges, or centroid
+  labelsOverlap: false,   // labels overlapping larger regions' labels are hidden unless true
+  legend: true,
+  legendTemplate: null,
+  legendLabels: null,
+  legendFormat: null,   // d3-format specifier or function for legend values
+  legendNoData: false,  // label of the no-data swatch, true for 'No data'
+  legendSuppressed: 'Suppressed', // label of the suppressed swatch, shown with suppressed option
+  legendOrientation: 'horizontal', // horizontal or vertical
+  legendTitle: null,    // legend heading or function(period), time series show the period by default
+  tooltip: true,
+  tooltipTemplate: '<p>Name: [[name]]<br>Value: [[value]]</p>', // see renderTemplate, or function(properties, feature, row) returning HTML or DOM node
+  tooltipOffset: 15,  // distance of tooltip from the pointer, px
+  noDataTemplate: null, // tooltip of regions without values, same as tooltipTemplate; [[noData]] is the legend label of their kind
+  // Missing data
+  noDataFill: null,     // fill of regions without values: color, 'hatch', 'crosshatch' or null for the CSS default
+  suppressed: null,     // suppressed values: marker or array of markers, e.g. ['*', 'S'], or function(row)
+  suppressedFill: 'crosshatch', // fill of suppressed values, see noDataFill
+  callout: true,             // labels that do not fit their region are moved beside the map with leader lines
+  calloutElements: [],       // ids of regions always called out instead
+  calloutElementTemplate: null, // callout text template, labelsTemplate by default
+  alterTopography: null,
+  transitionDuration: 500, // fill transition on data updates, ms
+  // Time series
+  timeField: null,    // period column of long-format data, enables time series; data may also be keyed by period
+  timePeriod: null,   // period shown first, the earliest by default
+  timeFormat: null,   // period label: d3-time-format specifier for dates or function(period)
+  timeInterval: 1000, // ms per period during playback
+  timeLoop: false,    // playback starts over after the last period
+  timeScale: 'fixed', // fixed classifies all periods together, period classifies each period on its own
+  timeControls: true, // play button and period slider
+  // Proportional symbols and dot density
+  symbolField: null,      // data field sized by proportional circles, enables symbol overlay
+  symbolLayer: null,      // layer of symbol features, defaults to topographyGranularity; regions get symbols at centroids
+  symbolMaxRadius: 25,    // radius of the largest value, px
+  symbolFill: null,       // CSS fill by default
+  symbolCollide: true,    // move overlapping symbols apart
+  symbolLegend: true,     // size legend, a string is used as its caption
+  dotField: null,         // data field shown as dots scattered within regions, enables dot density overlay
+  dotValue: 1000,         // value of a single dot
+  dotRadius: 1.2,         // px
+  dotFill: null,          // CSS fill by default
+  // Accessibility
+  title: 'Choropleth map', // accessible name, rendered as SVG <title>
+  description: null,  // SVG <desc>, summary of the data is generated when null
+  keyboard: true,     // regions are focusable: arrow keys move between them, Enter activates
+  dataTable: true,    // visually hidden table of region values for screen readers
+  paletteCheck: true, // warn when legend colors are hard to tell apart with color vision deficiencies
+  // Map positioning
+  projection: 'albersUsa', // projection name (see _projections) or d3 projection instance
+  fit: null,      // fit projection to the container, defaults to true for all but albersUsa(Territories)
+  insets: null,   // albersUsaTerritories inset overrides by name, e.g. {guam: {position: [0.3, 0.2]}, americanSamoa: false}
+  insetFrames: true, // draw borders around insets
+  preProjected: false, // use pre-projected albers topology with identity projection
+  // Zoom
+  zoom: false,
+  zoomExtent: [1, 8],
+  zoomToRegion: true,   // click a region to zoom to its bounds, click again to reset
+  zoomControls: true,   // render reset button
+  zoomDuration: 750,
+  // Drill down
+  drillDown: false,         // click a region to swap in its sub-regions
+  drillDownLevel: 'counties',
+  drillDownTopography: null, // topology set of the sub-regions, defaults to the map topography
+  drillDownData: null,      // data of the sub-regions or function(feature) returning it
+  drillDownOptions: null,   // options overridden while drilled down, e.g. colorScheme
+  drillDownRootLabel: 'United States',
+  drillDownBreadcrumb: true,
+  // Selection
+  selectionMode: 'multiple', // single or multiple
+  clickToSelect: false,
+  center: {x: 0.5, y:0.5},
+  scaleFactor: 1,
+};
+
+// Small multiples specific defaults, other options are passed to panel maps
+var multiplesDefaults = {
+  panels: [],     // [{title, data, options}]
+  columns: 2,
+  syncHover: true,
+  aspectRatio: 0.625
+};
+
+var _topo = {
+  'world-atlas': {
+    countries: {file: 'countries-110m.json', data: null},
+    land: {file: 'countries-110m.json', data: null}
+  },
+  'world-atlas-50m': {
+    countries: {file: 'countries-50m.json', dir: 'world-atlas', data: null},
+    land: {file: 'countries-50m.json', dir: 'world-atlas', data: null}
+  },
+  'us-atlas': {
+    nation: {file: 'nation-10m.json', data: null},
+    states: {file: 'states-10m.json', data: null},
+    counties: {file: 'counties-10m.json', data: null}
+  },
+  // Projected with _albers settings, for preProjected mode
+  'us-atlas-albers': {
+    nation: {file: 'nation-albers-10m.json', dir: 'us-atlas', data: null},
+    states: {file: 'states-albers-10m.json', dir: 'us-atlas', data: null},
+    counties: {file: 'counties-albers-10m.json', dir: 'us-atlas', data: null}
+  }
+};
+
+// Loaded topology files by url, shared by all instances
+var _cache = {};
+
+// Live instances
+var _instances = [], _uid = 0;
+
+// Namespace of exported SVG documents
+var _svgNS = 'http://www.w3.org/2000/svg';
+
+// Computed styles inlined into exported SVG
+var _exportStyles = [
+  'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'opacity',
+  'font-family', 'font-size', 'font-weight', 'text-anchor', 'visibility'
+];
+
+// Font size of labels in exported maps, label sizes are estimated with it when there is no layout
+var _labelFontSize = 12;
+
+// Fill of regions without data in exported maps, matches choropleth.css
+var _noDataFill = 'rgb(240,240,240)';
+
+// Lines of the no data and suppressed patterns, drawn over _noDataFill in 6px rotated tiles
+var _patterns = {
+  'hatch': '<line x1="0" y1="0" x2="0" y2="6" stroke="#999" stroke-width="2"/>',
+  'crosshatch': '<line x1="0" y1="0" x2="0" y2="6" stroke="#999" stroke-width="2"/>'
+    + '<line x1="0" y1="0" x2="6" y2="0" stroke="#999" stroke-width="2"/>'
+};
+
+// Projection used to create pre-projected us-atlas topologies
+var _albers = {scale: 1300, translate: [487.5, 305]};
+
+// Insets of the albersUsaTerritories projection. Position of an inset is relative
+// to the translate and scale relative to the scale of the projection; conic insets
+// are clipped to the extent (in units of their own scale), Mercator ones to bounds.
+// Lower 48, Alaska and Hawaii are placed as with albersUsa.
+var _insets = [
+  {name: 'lower48', position: [0, 0], scale: 1, frame: false,
+    rotate: [96, 0], center: [-0.6, 38.7], parallels: [29.5, 45.5], extent: [[-0.455, -0.238], [0.455, 0.238]]},
+  {name: 'alaska', position: [-0.307, 0.201], scale: 0.35,
+    rotate: [154, 0], center: [-2, 58.5], parallels: [55, 65], extent: [[-0.3371, -0.2314], [0.2657, 0.0943]]},
+  {name: 'hawaii', position: [-0.205, 0.212], scale: 1,
+    rotate: [157, 0], center: [-3, 19.9], parallels: [8, 18], extent: [[-0.009, -0.046], [0.09, 0.022]]},
+  {name: 'puertoRico', position: [0.34, 0.125], scale: 2.2, bounds: [[-68, 17.8], [-65.15, 18.6]]},
+  {name: 'virginIslands', position: [0.42, 0.125], scale: 2.2, bounds: [[-65.15, 17.6], [-64.5, 18.5]]},
+  {name: 'guam', position: [0.3, 0.2], scale: 3, bounds: [[144.5, 13.1], [145.1, 13.8]]},
+  {name: 'northernMarianas', position: [0.345, 0.195], scale: 0.7, bounds: [[144.9, 13.9], [146.3, 20.7]]},
+  {name: 'americanSamoa', position: [0.41, 0.2], scale: 2.2, bounds: [[-171.1, -14.6], [-169.2, -14]]}
+];
+
+// Supported projections by name, d3 projections or factories of composite ones
+var _projections = {
+  'albersUsa': 'geoAlbersUsa',
+  'albersUsaTerritories': createAlbersUsaTerritories,
+  'mercator': 'geoMercator',
+  'equalEarth': 'geoEqualEarth',
+  'naturalEarth': 'geoNaturalEarth1',
+  'conicConformal': 'geoConicConformal',
+  'identity': 'geoIdentity'
+};
+
+// Events instances can subscribe to
+var _events = [
+  'mouseenter', 'mouseleave', 'click', 'dblclick', // region events
+  'render', 'update', 'resize', 'zoom', 'legendclick', 'levelchange', 'selectionchange', 'periodchange', 'error'
+];
+
+// Color vision deficiency simulation matrices for linear RGB, Machado et al. (2009) at full severity
+var _cvd = {
+  protanopia: [[0.152286, 1.052583, -0.204868], [0.114503, 0.786281, 0.099216], [-0.003882, -0.048116, 1.051998]],
+  deuteranopia: [[0.367322, 0.860646, -0.227968], [0.280085, 0.672501, 0.047413], [-0.011820, 0.042940, 0.968881]],
+  tritanopia: [[1.255528, -0.076749, -0.178779], [-0.078411, 0.930809, 0.147602], [0.004733, 0.691367, 0.303900]]
+};
+
+// Smallest CIELAB distance for legend colors to be told apart
+var _minColorDistance = 10;
+
+// Data formats by file extension and by response content type
+var _dataFormats = {
+  'json': 'json',
+  'geojson': 'json',
+  'csv': 'csv',
+  'tsv': 'tsv',
+  'application/json': 'json',
+  'application/geo+json': 'json',
+  'text/csv': 'csv',
+  'text/tab-separated-values': 'tsv'
+};
+
+// US states and territories: FIPS code, USPS abbreviation, name
+var _states = [
+  ['01', 'AL', 'Alabama'], ['02', 'AK', 'Alaska'], ['04', 'AZ', 'Arizona'], ['05', 'AR', 'Arkansas'],
+  ['06', 'CA', 'California'], ['08', 'CO', 'Colorado'], ['09', 'CT', 'Connecticut'], ['10', 'DE', 'Delaware'],
+  ['11', 'DC', 'District of Columbia'], ['12', 'FL', 'Florida'], ['13', 'GA', 'Georgia'], ['15', 'HI', 'Hawaii'],
+  ['16', 'ID', 'Idaho'], ['17', 'IL', 'Illinois'], ['18', 'IN', 'Indiana'], ['19', 'IA', 'Iowa'],
+  ['20', 'KS', 'Kansas'], ['21', 'KY', 'Kentucky'], ['22', 'LA', 'Louisiana'], ['23', 'ME', 'Maine'],
+  ['24', 'MD', 'Maryland'], ['25', 'MA', 'Massachusetts'], ['26', 'MI', 'Michigan'], ['27', 'MN', 'Minnesota'],
+  ['28', 'MS', 'Mississippi'], ['29', 'MO', 'Missouri'], ['30', 'MT', 'Montana'], ['31', 'NE', 'Nebraska'],
+  ['32', 'NV', 'Nevada'], ['33', 'NH', 'New Hampshire'], ['34', 'NJ', 'New Jersey'], ['35', 'NM', 'New Mexico'],
+  ['36', 'NY', 'New York'], ['37', 'NC', 'North Carolina'], ['38', 'ND', 'North Dakota'], ['39', 'OH', 'Ohio'],
+  ['40', 'OK', 'Oklahoma'], ['41', 'OR', 'Oregon'], ['42', 'PA', 'Pennsylvania'], ['44', 'RI', 'Rhode Island'],
+  ['45', 'SC', 'South Carolina'], ['46', 'SD', 'South Dakota'], ['47', 'TN', 'Tennessee'], ['48', 'TX', 'Texas'],
+  ['49', 'UT', 'Utah'], ['50', 'VT', 'Vermont'], ['51', 'VA', 'Virginia'], ['53', 'WA', 'Washington'],
+  ['54', 'WV', 'West Virginia'], ['55', 'WI', 'Wisconsin'], ['56', 'WY', 'Wyoming'], ['60', 'AS', 'American Samoa'],
+  ['66', 'GU', 'Guam'], ['69', 'MP', 'Commonwealth of the Northern Mariana Islands'], ['72', 'PR', 'Puerto Rico'],
+  ['78', 'VI', 'United States Virgin Islands']
+];
+
+// Join key normalizers, return null when key can not be normalized
+var _normalizers = {
+  'number': function (key) {
+    var n = Number(key);
+    return key === null || key === '' || isNaN(n) ? null : n;
+  },
+  'fips2': function (key) {
+    var state = lookupState(key);
+    return state ? state[0] : null;
+  },
+  'fips5': function (key) {
+    key = String(key).trim();
+    return /^\d{1,5}$/.test(key) ? padNumber(key, 5) : null;
+  },
+  'usps': function (key) {
+    var state = lookupState(key);
+    return state ? state[1] : null;
+  },
+  'name': function (key) {
+    var state = lookupState(key);
+    return state ? state[2].toLowerCase() : null;
+  }
+};
+
+
+// --------------- Private methods -------------------------//
+
+/**
+ * Unit classes: layer, name and value, or kind of missing data:
+ * states--value states--value-12_5, states--nodata states--nodata-null, states--suppressed
+ */
+function applyUnitClasses(unit, layerName) {
+  var classes = [layerName], status = getValueStatus.call(this, unit);
+  if (unit.properties.name) {
+    classes.push(layerName + '--name-' + getClassName(unit.properties.name));
+  }
+  if ('value' === status) {
+    classes.push(layerName + '--value');
+    if (!this.colorScale || !this.colorScale.fields) {
+      classes.push(layerName + '--value-' + getClassName(unit.properties.value));
+    }
+  }
+  else if ('suppressed' === status) {
+    classes.push(layerName + '--suppressed');
+  }
+  else {
+    classes.push(layerName + '--nodata');
+    classes.push(layerName + '--nodata-' + status);
+  }
+  return classes.join(' ');
+}
+
+/**
+ * Turns a name or value into a class name part: lower case letters, digits,
+ * dashes and underscores only, e.g. 'District of Columbia' to district_of_columbia, 12.5 to 12_5
+ * @param str
+ * @returns {string}
+ */
+function getClassName(str) {
+  str = String(str);
+  if (typeof str.normalize === 'function') {
+    // Letters lose their accents
+    str = str.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  }
+  return str.toLowerCase().replace(/[^a-z0-9_-]+/g, '_');
+}
+
+function transformPointReversed(topology, position) {
+  if (!topology.transform) {
+    return position;
+  }
+  position = position.slice();
+  position[0] = (position[0] - topology.transform.translate[0])
+    /(topology.transform.scale[0]);
+  position[1] = (position[1] - topology.transform.translate[1])
+    /(topology.transform.scale[1]);
+  return position;
+}
+
+/**
+ * Unit render callback - path
+ */
+function renderPath(layer, layerName, layerData) {
+  var SELF = this;
+
+  var units = layer.selectAll('path').data(layerData, getUnitKey);
+  units.exit().remove();
+
+  // Existing units keep their shape and fade to the new color
+  units.transition('fill')
+    .duration(SELF.options.transitionDuration)
+    .style("fill", getUnitFill.bind(SELF));
+
+  return units.enter().append('path')
+    .style("fill", getUnitFill.bind(SELF))
+    .merge(units)
+    .attr('d', SELF.path)
+    .attr('class', function (d) { return applyUnitClasses.call(SELF, d, layerName)});
+}
+
+/**
+ * Unit render callback - point
+ */
+function renderPoint(layer, layerName, layerData) {
+  var SELF = this;
+
+  var units = layer.selectAll('circle').data(layerData, getUnitKey);
+  units.exit().remove();
+
+  units.transition('fill')
+    .duration(SELF.options.transitionDuration)
+    .style("fill", getUnitFill.bind(SELF));
+
+  return units.enter().append('circle')
+    .attr('r', getPointRadius.bind(SELF))
+    .style("fill", getUnitFill.bind(SELF))
+    .merge(units)
+    .attrs(function (d) {
+      return renderPointXY.call(SELF, d)
+    });
+}
+
+/**
+ * Point radius, kept constant on screen while zoomed
+ */
+function getPointRadius() {
+  return (8 / getZoomScale.call(this)) + 'px';
+}
+
+/**
+ * Label position, counter-scaled to keep text size constant while zoomed
+ * @param label See getLabels
+ */
+function getLabelTransform(label) {
+  var k = getZoomScale.call(this);
+  return "translate(" + [label.x, label.y] + ")" + (k !== 1 ? " scale(" + (1 / k) + ")" : "");
+}
+
+/**
+ * Whether the feature is left without label, see labelsExclude option
+ * @param d Feature
+ * @returns {boolean}
+ */
+function isLabelExcluded(d) {
+  var exclude = this.options.labelsExclude;
+  if (typeof exclude === 'function') {
+    return !!exclude.call(this, d, getDataRow.call(this, d));
+  }
+  return (exclude || []).map(String).indexOf(String(d.id)) !== -1;
+}
+
+/**
+ * Whether the feature is labelled, see labelsFiltered option
+ * @param d Feature
+ * @returns {boolean}
+ */
+function isLabelShown(d) {
+  var filter = this.options.labelsFiltered;
+  if (isLabelExcluded.call(this, d)) {
+    return false;
+  }
+  if (typeof filter === 'function') {
+    return !!filter.call(this, d, getDataRow.call(this, d));
+  }
+  return !filter || hasData.call(this, d);
+}
+
+/**
+ * Label text: labelsTemplate, labelsSource property or name
+ * @param d Feature
+ * @param tpl Template overriding labelsTemplate
+ */
+function getLabelText(d, tpl) {
+  tpl = tpl || this.options.labelsTemplate;
+  if (tpl) {
+    return renderTemplate(tpl, d.properties, true);
+  }
+  if (d.properties.hasOwnProperty(this.options.labelsSource)) {
+    return d.properties[this.options.labelsSource];
+  }
+  return d.properties.name;
+}
+
+/**
+ * Label anchor: pole of inaccessibility of the largest polygon, so labels
+ * stay inside concave regions, or centroid, see labelsPlacement option
+ * @param d Feature
+ * @returns {Array} [x, y]
+ */
+function getLabelAnchor(d) {
+  var SELF = this, geometry = d.geometry;
+  if ('centroid' === SELF.options.labelsPlacement || !geometry || !/Polygon$/.test(geometry.type)) {
+    return SELF.path.centroid(d);
+  }
+  var polygons = 'MultiPolygon' === geometry.type
+    ? geometry.coordinates.map(function (coordinates) { return {type: 'Polygon', coordinates: coordinates}; })
+    : [geometry];
+  var largest = polygons.reduce(function (a, b) {
+    return SELF.path.area(b) > SELF.path.area(a) ? b : a;
+  });
+  var rings = getProjectedRings.call(SELF, largest);
+  return rings.length ? polylabel(rings, 1) : SELF.path.centroid(d);
+}
+
+/**
+ * Finds the point of a polygon furthest from its edges (Mapbox polylabel algorithm)
+ * @param polygon Projected rings, outer ring followed by holes
+ * @param precision px
+ * @returns {Array} [x, y]
+ */
+function polylabel(polygon, precision) {
+  var extent = d3.extent(polygon[0], function (p) { return p[0]; }).concat(d3.extent(polygon[0], function (p) { return p[1]; })),
+    size = Math.min(extent[1] - extent[0], extent[3] - extent[2]), h = size / 2,
+    cells = [], byMax = d3.bisector(function (c) { return c.max; }).left;
+  if (!(size > 0)) {
+    return [extent[0], extent[2]];
+  }
+  var addCell = function (cell) {
+    cells.splice(byMax(cells, cell.max), 0, cell);
+  };
+  for (var x = extent[0]; x < extent[1]; x += size) {
+    for (var y = extent[2]; y < extent[3]; y += size) {
+      addCell(getPolylabelCell(x + h, y + h, h, polygon));
+    }
+  }
+
+  // Centroid is a good first guess, cells that cannot beat the best one are not split
+  var centroid = d3.polygonCentroid(polygon[0]),
+    best = getPolylabelCell(centroid[0], centroid[1], 0, polygon),
+    center = getPolylabelCell(extent[0] + (extent[1] - extent[0]) / 2, extent[2] + (extent[3] - extent[2]) / 2, 0, polygon);
+  if (center.d > best.d) {
+    best = center;
+  }
+  while (cells.length) {
+    var cell = cells.pop();
+    if (cell.d > best.d) {
+      best = cell;
+    }
+    if (cell.max - best.d <= precision) {
+      continue;
+    }
+    h = cell.h / 2;
+    addCell(getPolylabelCell(cell.x - h, cell.y - h, h, polygon));
+    addCell(getPolylabelCell(cell.x + h, cell.y - h, h, polygon));
+    addCell(getPolylabelCell(cell.x - h, cell.y + h, h, polygon));
+    addCell(getPolylabelCell(cell.x + h, cell.y + h, h, polygon));
+  }
+  return [best.x, best.y];
+}
+
+/**
+ * Square cell of polylabel search
+ * @returns {{x, y, h, d, max}} d is the distance to the polygon edge, negative outside,
+ * max the best distance possible within the cell
+ */
+function getPolylabelCell(x, y, h, polygon) {
+  var inside = false, minDist = Infinity;
+  polygon.forEach(function (ring) {
+    for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      var a = ring[i], b = ring[j];
+      if ((a[1] > y) !== (b[1] > y) && x < (b[0] - a[0]) * (y - a[1]) / (b[1] - a[1]) + a[0]) {
+        inside = !inside;
+      }
+      minDist = Math.min(minDist, getSegmentDistance(x, y, a, b));
+    }
+  });
+  var d = (inside ? 1 : -1) * minDist;
+  return {x: x, y: y, h: h, d: d, max: d + h * Math.SQRT2};
+}
+
+/**
+ * Distance of a point from a segment
+ * @returns {number}
+ */
+function getSegmentDistance(x, y, a, b) {
+  var dx = b[0] - a[0], dy = b[1] - a[1], t = 0;
+  if (dx !== 0 || dy !== 0) {
+    t = Math.max(0, Math.min(1, ((x - a[0]) * dx + (y - a[1]) * dy) / (dx * dx + dy * dy)));
+  }
+  return Math.sqrt(Math.pow(x - a[0] - dx * t, 2) + Math.pow(y - a[1] - dy * t, 2));
+}
+
+/**
+ * Labels of the features: text and anchor, sizes are set by the caller
+ * @param features
+ * @returns {Array} [{id, feature, text, anchor, x, y, bounds, area}]
+ */
+function getLabels(features) {
+  var SELF = this;
+  return features
+    .filter(isLabelShown.bind(SELF))
+    .map(function (d) {
+      var anchor = getLabelAnchor.call(SELF, d);
+      return {
+        id: d.id,
+        feature: d,
+        text: getLabelText.call(SELF, d),
+        anchor: anchor,
+        x: anchor[0],
+        y: anchor[1],
+        bounds: SELF.path.bounds(d),
+        area: SELF.path.area(d)
+      };
+    })
+    .filter(function (label) {
+      return isFinite(label.x) && isFinite(label.y) && label.text !== null && label.text !== undefined && label.text !== '';
+    });
+}
+
+/**
+ * Label size, measured when rendered in a browser, estimated otherwise
+ * @param node Text element, if any
+ * @param text
+ * @returns {{width: number, height: number}} px
+ */
+function measureLabel(node, text) {
+  if (node && typeof node.getBBox === 'function') {
+    try {
+      var box = node.getBBox();
+      if (box.width) {
+        return {width: box.width, height: box.height};
+      }
+    }
+    catch (e) {
+      // not rendered yet
+    }
+  }
+  return {width: String(text).length * _labelFontSize * 0.6, height: _labelFontSize * 1.2};
+}
+
+/**
+ * Picks labels to call out: calloutElements, or labels of regions smaller than the label
+ * that overlap other labels (marked hidden by markOverlappingLabels).
+ * Callouts are stacked in a column beside the regions, on the nearer side of the map,
+ * and are moved to the front of the labels.
+ * @param labels Measured labels, by priority
+ * @returns {Array} Labels, callouts first
+ */
+function placeCallouts(labels) {
+  var SELF = this, options = SELF.options, ids = (options.calloutElements || []).map(String),
+    lineHeight = d3.max(labels, function (label) { return label.height; }) || 0,
+    capacity = Math.floor(options.height / (lineHeight + 2));
+  if (!options.callout || !labels.length) {
+    return labels;
+  }
+
+  var sides = {left: [], right: []};
+  labels
+    .filter(function (label) {
+      return ids.length
+        ? ids.indexOf(String(label.id)) !== -1
+        : label.hidden && label.area < label.width * label.height;
+    })
+    .forEach(function (label) {
+      sides[label.anchor[0] < options.width / 2 ? 'left' : 'right'].push(label);
+    });
+
+  Object.keys(sides).forEach(function (side) {
+    // Column fits the map height, the largest regions are called out first
+    var callouts = sides[side].sort(function (a, b) { return b.area - a.area; }).slice(0, capacity),
+      width = d3.max(callouts, function (label) { return label.width; }), x;
+    if (!callouts.length) {
+      return;
+    }
+    if ('right' === side) {
+      x = Math.min(d3.max(callouts, function (label) { return label.bounds[1][0]; }) + 20, options.width - width - 5);
+    }
+    else {
+      x = Math.max(d3.min(callouts, function (label) { return label.bounds[0][0]; }) - 20 - width, 5);
+    }
+    callouts.sort(function (a, b) { return a.anchor[1] - b.anchor[1]; });
+    var y = -Infinity;
+    callouts.forEach(function (label) {
+      y = Math.max(label.anchor[1], y + lineHeight + 2);
+      label.callout = side;
+      label.x = x;
+      label.y = y;
+    });
+    // Column overflowing the bottom is moved up
+    var overflow = y + lineHeight / 2 - options.height;
+    if (overflow > 0) {
+      callouts.forEach(function (label) {
+        label.y -= overflow;
+      });
+    }
+  });
+
+  return labels.filter(function (label) { return label.callout; })
+    .concat(labels.filter(function (label) { return !label.callout; }));
+}
+
+/**
+ * End of the leader line of a callout, next to its text, counter-scaled like the text
+ * @param label
+ * @returns {number} x
+ */
+function getLeaderEnd(label) {
+  var k = getZoomScale.call(this);
+  return 'right' === label.callout ? label.x - 3 / k : label.x + (label.width + 3) / k;
+}
+
+/**
+ * Hides labels overlapping labels of higher priority, at the zoom scale
+ * @param labels By priority
+ * @param k Zoom scale
+ */
+function markOverlappingLabels(labels, k) {
+  var grid = {}, cell = 64;
+  labels.forEach(function (label) {
+    var x = label.x * k, y = label.y * k, left = label.callout ? x : x - label.width / 2,
+      box = [left, y - label.height / 2, left + label.width, y + label.height / 2], keys = [];
+    for (var i = Math.floor(box[0] / cell); i <= Math.floor(box[2] / cell); i++) {
+      for (var j = Math.floor(box[1] / cell); j <= Math.floor(box[3] / cell); j++) {
+        keys.push(i + ',' + j);
+      }
+    }
+    label.hidden = keys.some(function (key) {
+      return (grid[key] || []).some(function (other) {
+        return box[0] < other[2] && other[0] < box[2] && box[1] < other[3] && other[1] < box[3];
+      });
+    });
+    if (!label.hidden) {
+      keys.forEach(function (key) {
+        (grid[key] = grid[key] || []).push(box);
+      });
+    }
+  });
+}
+
+/**
+ * Lays out labels of the features, labels are sized by the measure callback
+ * @param features
+ * @param measure function(label) returning {width, height}
+ * @returns {Array} Labels by priority, see getLabels
+ */
+function layoutLabels(features, measure) {
+  var SELF = this, options = SELF.options;
+  // Larger regions win overlaps
+  var labels = getLabels.call(SELF, features).sort(function (a, b) { return b.area - a.area; });
+  labels.forEach(function (label) {
+    Object.assign(label, measure(label));
+  });
+  markOverlappingLabels(labels, getZoomScale.call(SELF));
+  labels = placeCallouts.call(SELF, labels);
+  labels.forEach(function (label) {
+    if (label.callout && options.calloutElementTemplate) {
+      label.text = getLabelText.call(SELF, label.feature, options.calloutElementTemplate);
+      Object.assign(label, measure(label));
+    }
+  });
+  if (options.labelsOverlap) {
+    labels.forEach(function (label) {
+      label.hidden = false;
+    });
+  }
+  else {
+    markOverlappingLabels(labels, getZoomScale.call(SELF));
+  }
+  return labels;
+}
+
+/**
+ * Updates label positions and visibility to the zoom scale
+ */
+function updateLabels() {
+  var SELF = this, labels = SELF.VIEWPORT.selectAll('.layer--labels text');
+  if (!SELF.options.labelsOverlap) {
+    markOverlappingLabels(labels.data(), getZoomScale.call(SELF));
+  }
+  labels.attr('transform', getLabelTransform.bind(SELF));
+  SELF.VIEWPORT.selectAll('.layer--labels line').attr('x2', getLeaderEnd.bind(SELF));
+  SELF.VIEWPORT.selectAll('.layer--labels text, .layer--labels line')
+    .attr('display', function (label) { return label.hidden ? 'none' : null; });
+}
+
+/**
+ * Current zoom scale
+ * @returns {number}
+ */
+function getZoomScale() {
+  return this.zoomTransform ? this.zoomTransform.k : 1;
+}
+
+/**
+ * Resizes the map with its container.
+ * Uses ResizeObserver where available, window resize otherwise.
+ */
+function initResize() {
+  var SELF = this, wrapper = SELF.getSVGWrapper(), width = SELF.options.width;
+  if (typeof window.ResizeObserver === 'function') {
+    // Only width changes matter, height follows from the aspect ratio
+    SELF.resizeObserver = new window.ResizeObserver(function (entries) {
+      var w = entries[0].contentRect.width;
+      if (w && w !== width) {
+        width = w;
+        SELF.resize();
+      }
+    });
+    SELF.resizeObserver.observe(wrapper);
+  }
+  else {
+    d3.select(window).on('resize.choropleth-' + SELF.uid, SELF.resize.bind(SELF));
+  }
+}
+
+/**
+ * Sets up zoom behavior on the SVG
+ */
+function initZoom() {
+  var SELF = this;
+  SELF.zoom = d3.zoom()
+    .scaleExtent(SELF.options.zoomExtent)
+    .extent(function () {
+      return [[0, 0], [SELF.options.width, SELF.options.height]];
+    })
+    .translateExtent([[0, 0], [SELF.options.width, SELF.options.height]])
+    .on('zoom', function (e) {
+      applyZoom.call(SELF, e.transform);
+    });
+  SELF.SVG.call(SELF.zoom);
+  SELF.EL.classed('choropleth--zoomable', true);
+
+  if (SELF.options.zoomControls) {
+    SELF.EL.append('button')
+      .attr('type', 'button')
+      .attr('class', 'choropleth--zoom-reset')
+      .text('Reset zoom')
+      .on('click', function () {
+        SELF.resetZoom();
+      });
+  }
+}
+
+/**
+ * Applies zoom transform to the layers
+ * @param transform
+ */
+function applyZoom(transform) {
+  var SELF = this;
+  SELF.zoomTransform = transform;
+  SELF.VIEWPORT.attr('transform', transform);
+  updateLabels.call(SELF);
+  SELF.VIEWPORT.selectAll('.layer--data circle').attr('r', getPointRadius.bind(SELF));
+  SELF.VIEWPORT.selectAll('.layer--symbols circle').attr('r', getSymbolRadius.bind(SELF));
+  SELF.VIEWPORT.selectAll('.layer--dots circle').attr('r', getDotRadius.bind(SELF));
+  trigger.call(SELF, 'zoom', transform);
+}
+
+/**
+ * Data join key of a unit
+ */
+function getUnitKey(d) {
+  return d.id;
+}
+
+/**
+ * Fill color of a unit, null keeps the CSS default
+ */
+function getUnitFill(d) {
+  var status = getValueStatus.call(this, d);
+  if ('suppressed' === status) {
+    return getPatternFill.call(this, this.options.suppressedFill);
+  }
+  if ('value' !== status) {
+    return getPatternFill.call(this, this.options.noDataFill);
+  }
+  if (this.colorScale.fields) {
+    return this.colorScale(d.properties);
+  }
+  return this.colorScale(d.properties.value);
+}
+
+/**
+ * Kind of the unit data. Zero is a value, while null, empty and non-numeric
+ * values are not (but for categorical scales, which take any value).
+ * @param d Feature
+ * @returns {string} value, suppressed; missing (no data row), null or invalid for no data
+ */
+function getValueStatus(d) {
+  var SELF = this, options = SELF.options, statuses, categorical;
+  if (isSuppressed(d.properties, options)) {
+    return 'suppressed';
+  }
+  categorical = SELF.colorScale ? isCategoricalScale(SELF.colorScale) : 'qualitative' === options.colorScheme;
+  statuses = getValueFields.call(SELF).map(function (field) {
+    var value = d.properties[field];
+    if (!d.properties.hasOwnProperty(field)) {
+      return 'missing';
+    }
+    if (value === null || value === undefined || value === '') {
+      return 'null';
+    }
+    if (categorical) {
+      return 'value';
+    }
+    return isFinite(value) && !(typeof value === 'string' && !value.trim()) ? 'value' : 'invalid';
+  });
+  return statuses.filter(function (status) { return 'value' !== status; })[0] || 'value';
+}
+
+/**
+ * Whether the scale maps categories rather than numbers. Continuous,
+ * classified and bivariate scales are numeric, ordinal and plain function
+ * scales take any value.
+ * @param scale
+ * @returns {boolean}
+ */
+function isCategoricalScale(scale) {
+  return !(scale.ticks || scale.invertExtent || scale.interpolator || scale.classifiers);
+}
+
+/**
+ * Whether the row value is suppressed, see suppressed option
+ * @param row Data row or feature properties
+ * @param options
+ * @returns {boolean}
+ */
+function isSuppressed(row, options) {
+  var suppressed = options.suppressed;
+  if (!suppressed || !row) {
+    return false;
+  }
+  if (typeof suppressed === 'function') {
+    return !!suppressed(row);
+  }
+  var markers = (Array.isArray(suppressed) ? suppressed : [suppressed]).map(String),
+    fields = 'bivariate' === options.colorScheme && options.bivariateFields ? options.bivariateFields : ['value'];
+  return fields.some(function (field) {
+    return row.hasOwnProperty(field) && row[field] !== null && markers.indexOf(String(row[field])) !== -1;
+  });
+}
+
+/**
+ * Fill of units without value: color, or a pattern of the map
+ * @param fill Color, hatch, crosshatch or null for CSS default
+ * @returns {string|null}
+ */
+function getPatternFill(fill) {
+  if (_patterns.hasOwnProperty(fill)) {
+    return 'url(#' + getPatternId.call(this, fill) + ')';
+  }
+  return fill || null;
+}
+
+/**
+ * Id of a pattern of the map, unique for each map on the page
+ * @param name
+ * @returns {string}
+ */
+function getPatternId(name) {
+  return 'choropleth-' + (this.uid || 0) + '-' + name;
+}
+
+/**
+ * Pattern definitions, markup of <defs> children
+ * @returns {string}
+ */
+function getPatternsMarkup() {
+  var SELF = this;
+  return Object.keys(_patterns).map(function (name) {
+    return '<pattern id="' + getPatternId.call(SELF, name) + '" patternUnits="userSpaceOnUse" width="6" height="6"'
+      + ' patternTransform="rotate(45)"><rect width="6" height="6" fill="' + _noDataFill + '"/>'
+      + _patterns[name] + '</pattern>';
+  }).join('');
+}
+
+/**
+ * Adds patterns to the map SVG
+ */
+function renderPatterns() {
+  var SELF = this, defs = SELF.SVG.select('defs.choropleth--patterns');
+  if (defs.empty()) {
+    defs = SELF.SVG.insert('defs', ':first-child').attr('class', 'choropleth--patterns');
+  }
+  defs.html(getPatternsMarkup.call(SELF));
+}
+
+/**
+ * Data fields shown by the color scale, both fields of a bivariate scale
+ * @returns {string[]}
+ */
+function getValueFields() {
+  return this.colorScale && this.colorScale.fields ? this.colorScale.fields : ['value'];
+}
+
+/**
+ * Whether the unit has values of all the fields shown
+ * @param d Feature
+ * @returns {boolean}
+ */
+function hasData(d) {
+  return 'value' === getValueStatus.call(this, d);
+}
+
+function renderPointXY(d) {
+  var SELF = this;
+  var
+    c = d.geometry.coordinates,
+    pos = typeof d.latlong !== undefined ? transformPointReversed(SELF.options.topography, c) : c;
+  // Points are given in longitude/latitude, so bring them to the space of pre-projected topology first
+  if (pos && SELF.sourceProjection) {
+    pos = SELF.sourceProjection(pos);
+  }
+  pos = pos ? SELF.projection(pos) : null;
+  return pos ? {'cx': pos[0], 'cy': pos[1]} : null;
+}
+
+function isObject(item) {
+  return (item && typeof item === 'object' && !Array.isArray(item));
+}
+
+function mergeDeep(target, source) {
+  let output = Object.assign({}, target);
+  if (isObject(target) && isObject(source)) {
+    Object.keys(source).forEach(key => {
+      if (isObject(source[key])) {
+        if (!(key in target))
+          Object.assign(output, { [key]: source[key] });
+        else
+          output[key] = mergeDeep(target[key], source[key]);
+      } else {
+        Object.assign(output, { [key]: source[key] });
+      }
+    });
+  }
+  return output;
+}
+
+/**
+ * Computes mouse event coordinates relative to the choropleth container
+ * @param event
+ * @returns {{x: number, y: number}}
+ */
+function getRelativeCoordinates(event) {
+  var pos = d3.pointer(event, this.EL.node());
+  return {
+    x: pos[0],
+    y: pos[1]
+  }
+}
+
+function calcCenterPoint(width, height) {
+  return [
+    (width ? width : this.options.width) * this.options.center.x,
+    (height ? height : this.options.height) * this.options.center.y,
+  ]
+}
+
+/**
+ * Filters by property and value
+ *
+ * @param prop
+ * @param value
+ * @param obj
+ * @returns {boolean}
+ */
+function filterByProperty(prop, value, obj) {
+  if (null !== value) {
+    return obj.properties.hasOwnProperty(prop) && value === obj.properties[prop];
+  }
+  else {
+    return obj.properties.hasOwnProperty(prop);
+  }
+}
+
+function getFileTypeFromPath(filepath) {
+  return filepath.split('\\').pop().split('/').pop().split('.').pop();
+}
+
+/**
+ * Fetches map data
+ * @param data Array of rows, GeoJSON FeatureCollection, Promise of either or url of a data file
+ * @param options {dataFormat, row}
+ * @param cb Node-style callback, called once
+ */
+function loadData(data, options, cb) {
+  var row = options ? options.row : null, rows;
+
+  // Files and promises settle later
+  if (typeof data === 'string' || (data && typeof data.then === 'function')) {
+    var loading = typeof data === 'string' ? fetchData(data, options || {}) : Promise.resolve(data).then(function (result) {
+      return getRows(result, row, options && options.timeField);
+    });
+    loading.then(function (result) {
+      cb(null, result);
+    }, function (err) {
+      cb(err, null);
+    });
+    return;
+  }
+
+  // If we already have map data loaded, just return it.
+  try {
+    rows = getRows(data, row, options && options.timeField);
+  }
+  catch (err) {
+    cb(err, null);
+    return;
+  }
+  cb(null, rows);
+}
+
+/**
+ * Fetches and parses a data file
+ * @param url
+ * @param options {dataFormat, row}
+ * @returns {Promise<Array>}
+ */
+function fetchData(url, options) {
+  var format = options.dataFormat || getDataFormat(url.split(/[?#]/)[0]);
+  return fetch(url)
+    .then(function (response) {
+      if (!response.ok) {
+        message('failed to load ' + url + ': ' + response.status + ' ' + response.statusText, 'error');
+      }
+      // Urls without extension are recognized by content type
+      format = format || getDataFormat(response.headers.get('Content-Type'));
+      return response.text();
+    })
+    .then(function (text) {
+      return parseData(text, format, options.row, options.timeField);
+    });
+}
+
+/**
+ * Data format by file extension or content type
+ * @param source Url or content type
+ * @returns {string|null} json, csv or tsv
+ */
+function getDataFormat(source) {
+  var key = String(source || '').split(';')[0].trim().toLowerCase();
+  if (key.indexOf('/') === -1 || key.indexOf('.') !== -1) {
+    key = getFileTypeFromPath(key);
+  }
+  return _dataFormats.hasOwnProperty(key) ? _dataFormats[key] : null;
+}
+
+/**
+ * Parses data file contents into rows
+ * @param text
+ * @param format json, csv or tsv; guessed from contents when not known
+ * @param row Row accessor, replaces default coercion of csv/tsv fields
+ * @param timeField See getRows
+ * @returns {Array}
+ */
+function parseData(text, format, row, timeField) {
+  if (!format) {
+    format = /^\s*[\[{]/.test(text) ? 'json' : (text.split('\n')[0].indexOf('\t') !== -1 ? 'tsv' : 'csv');
+  }
+  if ('json' === format) {
+    return getRows(JSON.parse(text), row, timeField);
+  }
+  return ('tsv' === format ? d3.tsvParse : d3.csvParse)(text, typeof row === 'function' ? row : coerceRow);
+}
+
+/**
+ * Default csv/tsv row accessor: numeric fields become numbers, empty fields null.
+ * Codes with leading zeros, e.g. FIPS, are kept as strings.
+ * @param row
+ * @returns {*}
+ */
+function coerceRow(row) {
+  Object.keys(row).forEach(function (key) {
+    var value = row[key].trim();
+    if ('' === value) {
+      row[key] = null;
+    }
+    else if (/^-?(0|[1-9]\d*)(\.\d+)?(e[-+]?\d+)?$/i.test(value)) {
+      row[key] = Number(value);
+    }
+  });
+  return row;
+}
+
+/**
+ * Turns loaded data into rows, GeoJSON features give their id and properties.
+ * Data keyed by period is turned into rows with the period in timeField.
+ * @param data
+ * @param row Row accessor applied to each row, rows it returns null for are skipped
+ * @param timeField
+ * @returns {Array|null}
+ */
+function getRows(data, row, timeField) {
+  if (data === null || data === undefined) {
+    return null;
+  }
+  if (timeField && isObject(data) && !data.type) {
+    return Object.keys(data).reduce(function (rows, period) {
+      return rows.concat((getRows(data[period], row, timeField) || []).map(function (d) {
+        var periodRow = Object.assign({}, d);
+        periodRow[timeField] = period;
+        return periodRow;
+      }));
+    }, []);
+  }
+  if ('FeatureCollection' === data.type) {
+    data = data.features.map(function (feature) {
+      return Object.assign({id: feature.id}, feature.properties);
+    });
+  }
+  if (!Array.isArray(data)) {
+    message('data has to be an array of rows, GeoJSON FeatureCollection or, with timeField, rows keyed by period', 'error');
+  }
+  if (typeof row !== 'function') {
+    return data;
+  }
+  var rows = [];
+  data.forEach(function (d, idx) {
+    var parsed = row(d, idx);
+    if (parsed !== null && parsed !== undefined) {
+      rows.push(parsed);
+    }
+  });
+  return rows;
+}
+
+/**
+ * Sets ready promise of the instance for a loading step. The map is marked
+ * as loading meanwhile, failures are logged and trigger error event.
+ * Steps load side by side, ready settles once the earlier ones did too.
+ * @param load function(done), done to be called with error if any
+ */
+function trackLoading(load) {
+  var SELF = this, previous = SELF.ready;
+  SELF.EL.classed('choropleth--loading', true);
+  var current = new Promise(function (resolve, reject) {
+    load(function (err) {
+      // Loading may finish synchronously, settle after listeners are bound
+      Promise.resolve().then(function () {
+        if (SELF.destroyed) {
+          return;
+        }
+        if (err) {
+          reportError.call(SELF, err);
+          reject(err);
+        }
+        else {
+          resolve(SELF);
+        }
+      });
+    });
+  });
+  // Failure of an earlier step only fails this one when the map did not get rendered
+  var ready = (previous || Promise.resolve())
+    .then(null, function (err) {
+      if (!SELF.topography) {
+        throw err;
+      }
+    })
+    .then(function () {
+      return current;
+    });
+  var settle = function (failed) {
+    if (SELF.ready === ready && !SELF.destroyed) {
+      SELF.EL.classed('choropleth--loading', false).classed('choropleth--error', failed);
+    }
+  };
+  SELF.ready = ready;
+  // Failures are reported by error event, so the promises do not have to be observed
+  current.catch(function () {});
+  ready.then(function () { settle(false); }, function () { settle(true); });
+}
+
+/**
+ * Logs error and triggers error event
+ * @param err
+ */
+function reportError(err) {
+  // Errors raised by message() are logged already
+  if (String(err.message).indexOf('CHOROPLETH: ') !== 0) {
+    message(err.message, 'warning');
+  }
+  trigger.call(this, 'error', err);
+}
+
+/**
+ * Fetches specified Topology data
+ * @param name Topology set name or TopoJSON/GeoJSON object
+ * @param layer
+ * @returns {null|*}
+ */
+function getTopography(name, layer) {
+  var SELF = this;
+  return queue().defer(function (cb) {
+      loadData(SELF.options.data, SELF.options, cb);
+    }).defer(function (cb) {
+      loadTopology.call(SELF, name, layer, cb);
+    });
+}
+
+/**
+ * Loads a layer of a topology set
+ * @param name Topology set name or TopoJSON/GeoJSON object
+ * @param layer
+ * @param cb Node-style callback
+ */
+function loadTopology(name, layer, cb) {
+  var SELF = this;
+  // Topology supplied directly
+  if (name && typeof name === 'object') {
+    cb(null, toTopology(name, layer));
+    return;
+  }
+
+  // When either set or layer is not defined
+  if (!_topo.hasOwnProperty(name) || !_topo[name].hasOwnProperty(layer)) {
+    cb(new Error('topology ' + name + '/' + layer + ' is not registered'), null);
+    return;
+  }
+
+  // Topology registered as an object
+  var source = _topo[name][layer];
+  if (source.data) {
+    cb(null, source.data);
+    return;
+  }
+
+  // Otherwise load data from the given url or local plugin storage in
+  // the 'topology' folder, these are for now just json files.
+  // Files are cached by url, concurrent requests share a single load.
+  var url = source.url || SELF.options.location + 'topology/' + (source.dir || name) + '/' + source.file,
+    done = function (err, file) {
+      // Cached file is shared by instances, each alters a copy of its own
+      if (!err && typeof SELF.options.alterTopography === 'function') {
+        file = JSON.parse(JSON.stringify(file));
+        SELF.options.alterTopography.call(SELF, file);
+      }
+      cb(err, err ? null : toTopology(file, layer, source.object));
+    };
+  if (_cache.hasOwnProperty(url)) {
+    if (_cache[url].data) {
+      done(null, _cache[url].data);
+    }
+    else {
+      _cache[url].callbacks.push(done);
+    }
+    return;
+  }
+
+  _cache[url] = {data: null, callbacks: [done]};
+  d3.json(url)
+    .then(function(file) {
+      _cache[url].data = file;
+      _cache[url].callbacks.forEach(function (callback) {
+        callback(null, file);
+      });
+      _cache[url].callbacks = [];
+    }, function (err) {
+      // Failed loads are not cached, so that they can be retried
+      var callbacks = _cache[url].callbacks;
+      delete _cache[url];
+      err = new Error('failed to load topology ' + url + ': ' + err.message);
+      callbacks.forEach(function (callback) {
+        callback(err);
+      });
+    });
+}
+
+/**
+ * Returns copy of the topology with only those features of the layer,
+ * whose FIPS code starts with the given prefix
+ * @param topology
+ * @param layer
+ * @param prefix State FIPS code
+ * @returns {*}
+ */
+function filterTopology(topology, layer, prefix) {
+  var collectionKey = 'FeatureCollection' === topology.objects[layer].type ? 'features' : 'geometries',
+    objects = Object.assign({}, topology.objects);
+  prefix = padNumber(prefix, 2);
+  objects[layer] = Object.assign({}, topology.objects[layer]);
+  objects[layer][collectionKey] = topology.objects[layer][collectionKey].filter(function (geometry) {
+    return padNumber(geometry.id, 5).slice(0, prefix.length) === prefix;
+  });
+  return Object.assign({}, topology, {objects: objects});
+}
+
+/**
+ * Normalizes group definitions, see groups option
+ * @param groups
+ * @returns {Array|null} [{id, name, members}]
+ */
+function getGroupDefinitions(groups) {
+  if (!groups) {
+    return null;
+  }
+  if (!Array.isArray(groups)) {
+    groups = Object.keys(groups).map(function (id) {
+      return {id: id, members: groups[id]};
+    });
+  }
+  return groups.map(function (group) {
+    if (!group || group.id === undefined || group.id === null || !Array.isArray(group.members)) {
+      message('group needs an id and members', 'error');
+    }
+    return {id: String(group.id), name: group.name || String(group.id), members: group.members};
+  });
+}
+
+/**
+ * Whether the data layer is made of groups. Drilled down levels are not.
+ * @returns {boolean}
+ */
+function isGroupLayer() {
+  return !!this.options.groups && !(this.drillPath && this.drillPath.length > 1);
+}
+
+/**
+ * Join key options of the data layer, groups are joined by their ids
+ * @returns {{dataKey, featureKey, keyNormalizer}}
+ */
+function getJoinOptions() {
+  if (isGroupLayer.call(this)) {
+    return {dataKey: 'id', featureKey: 'id', keyNormalizer: String};
+  }
+  return this.options;
+}
+
+/**
+ * Adds groups to the topology as the data layer, features of groupsSource
+ * dissolved into one geometry per group. Source topology is left untouched.
+ * @param topology
+ * @returns {*}
+ */
+function addGroups(topology) {
+  var options = this.options, groups = getGroupDefinitions(options.groups), source = options.groupsSource;
+  if (!groups || !topology) {
+    return topology;
+  }
+  if ('Topology' !== topology.type || !topology.objects.hasOwnProperty(source)) {
+    message('groups need ' + source + ' object of a TopoJSON topology', 'warning');
+    return topology;
+  }
+
+  var featureKey = getJoinKey(options.featureKey, options.keyNormalizer, true),
+    memberKey = getJoinKey(function (id) { return id; }, options.keyNormalizer),
+    index = {};
+  topology.objects[source].geometries.forEach(function (geometry) {
+    var key = featureKey(geometry);
+    if (key !== null) {
+      index[key] = geometry;
+    }
+  });
+
+  var objects = Object.assign({}, topology.objects);
+  objects[options.topographyGranularity] = {
+    type: 'GeometryCollection',
+    geometries: groups.map(function (group) {
+      var members = [], missing = [];
+      group.members.forEach(function (id) {
+        var key = memberKey(id);
+        if (key !== null && index.hasOwnProperty(key)) {
+          members.push(index[key]);
+        }
+        else {
+          missing.push(id);
+        }
+      });
+      if (missing.length) {
+        message('members of group ' + group.id + ' not found: ' + missing.join(', '), 'warning');
+      }
+      return Object.assign(topojson.mergeArcs(topology, members), {
+        id: group.id,
+        properties: {name: group.name}
+      });
+    })
+  };
+  return Object.assign({}, topology, {objects: objects});
+}
+
+/**
+ * Aggregates data rows of group members into a row per group (and period
+ * of time series): {id, name, count, [field]: aggregate}, see groups option
+ * @param rows
+ * @returns {Array}
+ */
+function aggregateGroups(rows) {
+  var options = this.options, groups = getGroupDefinitions(options.groups);
+  if (!groups || !isGroupLayer.call(this)) {
+    return rows;
+  }
+  var dataKey = getJoinKey(options.dataKey, options.keyNormalizer),
+    memberKey = getJoinKey(function (id) { return id; }, options.keyNormalizer),
+    timeField = options.timeField, fields = getGroupFields(options), aggregates = {}, byKey = {};
+  fields.forEach(function (field) {
+    aggregates[field] = getAggregate(options, field);
+  });
+  (rows || []).forEach(function (row) {
+    var key = dataKey(row);
+    if (key !== null) {
+      (byKey[key] = byKey[key] || []).push(row);
+    }
+  });
+
+  var aggregated = [];
+  groups.forEach(function (group) {
+    var memberRows = [];
+    group.members.forEach(function (id) {
+      var key = memberKey(id);
+      memberRows = memberRows.concat(key !== null && byKey[key] || []);
+    });
+    var periods = timeField
+      ? d3.group(memberRows, function (row) { return row[timeField]; })
+      : new Map([[null, memberRows]]);
+    periods.forEach(function (periodRows, period) {
+      if (!periodRows.length) {
+        return;
+      }
+      var row = {id: group.id, name: group.name, count: periodRows.length};
+      if (timeField) {
+        row[timeField] = period;
+      }
+      fields.forEach(function (field) {
+        row[field] = aggregates[field](periodRows, field);
+      });
+      aggregated.push(row);
+    });
+  });
+  return aggregated;
+}
+
+/**
+ * Data fields aggregated by groups, see groupsFields option
+ * @param options
+ * @returns {string[]}
+ */
+function getGroupFields(options) {
+  var fields = options.groupsFields;
+  if (!fields) {
+    fields = 'bivariate' === options.colorScheme && options.bivariateFields ? options.bivariateFields.slice() : ['value'];
+    fields = fields.concat([options.symbolField, options.dotField], Object.keys(
+      options.groupsAggregate && typeof options.groupsAggregate === 'object' ? options.groupsAggregate : {}));
+  }
+  return fields.filter(function (field, idx) {
+    return field && fields.indexOf(field) === idx;
+  });
+}
+
+/**
+ * Aggregate function of a field, see groupsAggregate option.
+ * Values that are not numbers, e.g. suppressed, are left out.
+ * @param options
+ * @param field
+ * @returns {function} function(rows, field) returning a number or null
+ */
+function getAggregate(options, field) {
+  var aggregate = options.groupsAggregate;
+  if (aggregate && typeof aggregate === 'object') {
+    aggregate = aggregate.hasOwnProperty(field) ? aggregate[field] : 'sum';
+  }
+  if (typeof aggregate === 'function') {
+    return aggregate;
+  }
+  var number = function (value) {
+    if (value === null || value === undefined || typeof value === 'boolean' || (typeof value === 'string' && !value.trim())) {
+      return null;
+    }
+    return isFinite(value) ? Number(value) : null;
+  };
+  var values = function (rows) {
+    return rows.map(function (row) { return number(row[field]); }).filter(function (v) { return v !== null; });
+  };
+  switch (aggregate) {
+    case 'sum':
+      return function (rows) {
+        var v = values(rows);
+        return v.length ? d3.sum(v) : null;
+      };
+    case 'mean':
+      return function (rows) {
+        var v = values(rows);
+        return v.length ? d3.mean(v) : null;
+      };
+    case 'weightedMean':
+      if (!options.groupsWeight) {
+        message('groupsWeight is required for weightedMean', 'error');
+      }
+      return function (rows) {
+        var total = 0, weights = 0;
+        rows.forEach(function (row) {
+          var v = number(row[field]), w = number(row[options.groupsWeight]);
+          if (v !== null && w !== null) {
+            total += v * w;
+            weights += w;
+          }
+        });
+        return weights ? total / weights : null;
+      };
+    default:
+      message('unknown aggregate ' + aggregate, 'error');
+  }
+}
+
+/**
+ * Notifies subscribers of an event.
+ * Callbacks are called in context of the instance, which is also passed
+ * as the last argument.
+ * @param e Event name
+ */
+function trigger(e) {
+  var SELF = this, args = Array.prototype.slice.call(arguments, 1).concat([SELF]);
+  (SELF.subscribers[e] || []).slice().forEach(function (subscriber) {
+    subscriber.cb.apply(SELF, args);
+  });
+}
+
+/**
+ * Splits event type names, e.g. 'click.analytics mouseenter'
+ * @param typenames
+ * @returns {Array} [{type, name}]
+ */
+function parseEventTypenames(typenames) {
+  return String(typenames).trim().split(/\s+/).map(function (typename) {
+    var idx = typename.indexOf('.');
+    return {
+      type: idx >= 0 ? typename.slice(0, idx) : typename,
+      name: idx >= 0 ? typename.slice(idx + 1) : ''
+    };
+  });
+}
+
+/**
+ * Returns rendered data layer units matching given regions
+ * @param regions Id, array of ids or predicate function(feature, row)
+ * @returns {*} d3 selection
+ */
+function getRegionUnits(regions) {
+  var SELF = this, test;
+  if (typeof regions === 'function') {
+    test = function (d) {
+      return regions.call(SELF, d, getDataRow.call(SELF, d));
+    };
+  }
+  else {
+    // Ids are compared normalized, so that 6, '06' or 'CA' (with fips2 normalizer) all match
+    var normalize = getJoinKey(function (id) { return id; }, getJoinOptions.call(SELF).keyNormalizer),
+      ids = (Array.isArray(regions) ? regions : [regions]).map(normalize);
+    test = function (d) {
+      var id = normalize(d.id);
+      return id !== null && ids.indexOf(id) !== -1;
+    };
+  }
+  return SELF.VIEWPORT.selectAll('.layer--data').selectAll('path, circle').filter(test);
+}
+
+/**
+ * Updates selection classes of rendered units, selected are moved to front
+ * so their outline is not covered by neighbours
+ */
+function applySelection() {
+  var SELF = this;
+  SELF.VIEWPORT.selectAll('.layer--data').selectAll('path, circle')
+    .classed('choropleth--selected', function (d) {
+      return !!SELF.selection[String(d.id)];
+    })
+    .attr('aria-pressed', function (d) {
+      return SELF.options.clickToSelect ? String(!!SELF.selection[String(d.id)]) : null;
+    })
+    .filter('.choropleth--selected')
+    .moveToFront();
+}
+
+/**
+ * Returns data row joined to a feature
+ * @param feature
+ * @returns {Object|null}
+ */
+function getDataRow(feature) {
+  var key = this.featureKey ? this.featureKey(feature) : null;
+  return key !== null && this.dataIndex.hasOwnProperty(key) ? this.data[this.dataIndex[key]] : null;
+}
+
+/**
+ * Restores top level topography, data, time series and options.
+ * Period of the sub-regions is kept when the top level has it.
+ */
+function restoreRoot() {
+  var SELF = this, root = SELF.drillPath[0], idx;
+  SELF.topography = root.topography;
+  SELF.data = root.data;
+  SELF.series = root.series;
+  idx = getPeriodIndex.call(SELF, SELF.period);
+  if (idx === -1) {
+    SELF.period = root.period;
+  }
+  else {
+    SELF.period = SELF.series.periods[idx];
+    SELF.data = SELF.series.groups.get(SELF.period);
+  }
+  SELF.options.topographyGranularity = root.level;
+  Object.keys(root.options || {}).forEach(function (key) {
+    SELF.options[key] = root.options[key];
+  });
+  SELF.drillPath = [root];
+}
+
+/**
+ * Re-renders data layers of the current drill down level
+ */
+function renderLevel() {
+  var SELF = this;
+  SELF.VIEWPORT.attr('transform', null);
+  SELF.VIEWPORT.selectAll('.layer--data').remove();
+  if (SELF.tooltip) {
+    SELF.tooltip.style('display', 'none');
+  }
+  fitProjection.call(SELF);
+  SELF.VIEWPORT.selectAll('.layer--extra path').attr('d', SELF.path);
+  renderInsetFrames.call(SELF);
+  SELF.update();
+  renderBreadcrumb.call(SELF);
+}
+
+/**
+ * Renders drill down breadcrumb, all but the current level link back up
+ */
+function renderBreadcrumb() {
+  var SELF = this;
+  if (!SELF.options.drillDown || !SELF.options.drillDownBreadcrumb) {
+    return;
+  }
+  if (!SELF.breadcrumb) {
+    SELF.breadcrumb = SELF.EL.insert('ol', ':first-child').attr('class', 'choropleth--breadcrumb');
+  }
+  var items = SELF.breadcrumb.selectAll('li').data(SELF.drillPath);
+  items.exit().remove();
+  items = items.enter().append('li').merge(items);
+  items.html('').each(function (d, idx) {
+    if (idx === SELF.drillPath.length - 1) {
+      d3.select(this).append('span').text(d.name);
+    }
+    else {
+      d3.select(this).append('button')
+        .attr('type', 'button')
+        .text(d.name)
+        .on('click', function () {
+          SELF.drillUp();
+        });
+    }
+  });
+}
+
+/**
+ * Splits time series rows by period, see timeField option.
+ * Current period is kept when the new data has it.
+ * @param rows
+ * @returns {Array} Rows of the current period, all rows when there is no time series
+ */
+function initSeries(rows) {
+  var SELF = this, field = SELF.options.timeField;
+  rows = aggregateGroups.call(SELF, rows);
+  if (!field) {
+    SELF.series = null;
+    return rows;
+  }
+  var groups = d3.group(rows || [], function (row) { return row[field]; }),
+    periods = Array.from(groups.keys()).filter(function (period) {
+      return period !== null && period !== undefined && period !== '';
+    }).sort(d3.ascending);
+  SELF.series = {rows: rows || [], periods: periods, groups: groups};
+
+  var idx = getPeriodIndex.call(SELF, SELF.period === undefined ? SELF.options.timePeriod : SELF.period);
+  SELF.period = periods[idx === -1 ? 0 : idx];
+  return groups.get(SELF.period) || [];
+}
+
+/**
+ * Index of a period, periods are matched by their string value, so 2020 matches '2020'
+ * @param period
+ * @returns {number} -1 when not found
+ */
+function getPeriodIndex(period) {
+  if (!this.series || period === null || period === undefined) {
+    return -1;
+  }
+  var key = String(period instanceof Date ? period.valueOf() : period);
+  for (var i = 0; i < this.series.periods.length; i++) {
+    var p = this.series.periods[i];
+    if (String(p instanceof Date ? p.valueOf() : p) === key) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Label of a period, see timeFormat option
+ * @param period
+ * @returns {string}
+ */
+function getPeriodLabel(period) {
+  var format = this.options.timeFormat;
+  if (typeof format === 'function') {
+    return format.call(this, period);
+  }
+  if (period instanceof Date) {
+    return format ? d3.timeFormat(format)(period) : period.toISOString().slice(0, 10);
+  }
+  return String(period);
+}
+
+/**
+ * Legend title: legendTitle option, period of time series by default
+ * @returns {string|null}
+ */
+function getLegendTitle() {
+  var title = this.options.legendTitle;
+  if (typeof title === 'function') {
+    return title.call(this, this.series ? this.period : null);
+  }
+  if (title === null && this.series) {
+    return getPeriodLabel.call(this, this.period);
+  }
+  return title;
+}
+
+/**
+ * Renders play button and period slider, or updates them to the current period
+ */
+function renderTimeControls() {
+  var SELF = this, series = SELF.series;
+  if (!series || !SELF.options.timeControls) {
+    if (SELF.timeControls) {
+      SELF.timeControls.remove();
+      SELF.timeControls = null;
+    }
+    return;
+  }
+  if (!SELF.timeControls) {
+    SELF.timeControls = SELF.EL.insert('div', SELF.legend ? function () { return (SELF.legendTitle || SELF.legend).node(); } : null)
+      .attr('class', 'choropleth--time');
+    SELF.timeControls.append('button')
+      .attr('type', 'button')
+      .attr('class', 'choropleth--time-play')
+      .on('click', function () {
+        if (SELF.playing) {
+          SELF.pause();
+        }
+        else {
+          SELF.play();
+        }
+      });
+    SELF.timeControls.append('input')
+      .attr('type', 'range')
+      .attr('class', 'choropleth--time-slider')
+      .attr('min', 0)
+      .attr('step', 1)
+      .attr('aria-label', 'Period')
+      .on('input', function () {
+        SELF.pause();
+        SELF.seek(SELF.series.periods[+this.value]);
+      });
+    SELF.timeControls.append('output').attr('class', 'choropleth--time-label');
+  }
+  var idx = getPeriodIndex.call(SELF, SELF.period), label = getPeriodLabel.call(SELF, SELF.period);
+  SELF.timeControls.select('.choropleth--time-play')
+    .attr('aria-pressed', SELF.playing ? 'true' : 'false')
+    .text(SELF.playing ? 'Pause' : 'Play');
+  SELF.timeControls.select('.choropleth--time-slider')
+    .attr('max', series.periods.length - 1)
+    .attr('aria-valuetext', label)
+    .property('value', idx);
+  SELF.timeControls.select('.choropleth--time-label').text(label);
+}
+
+/**
+ * Converts TopoJSON or GeoJSON into a topology-like object with the
+ * features available under objects[layer]
+ * @param data TopoJSON, GeoJSON FeatureCollection, Feature or geometry
+ * @param layer Layer name
+ * @param object Name of the object in TopoJSON, if different from the layer
+ * @returns {*}
+ */
+function toTopology(data, layer, object) {
+  if ('Topology' === data.type || 'GeoJSON' === data.type) {
+    if (object && object !== layer && data.objects.hasOwnProperty(object)) {
+      var objects = Object.assign({}, data.objects);
+      objects[layer] = data.objects[object];
+      return Object.assign({}, data, {objects: objects});
+    }
+    return data;
+  }
+
+  var collection = data;
+  if ('Feature' === data.type) {
+    collection = {type: 'FeatureCollection', features: [data]};
+  }
+  else if ('FeatureCollection' !== data.type) {
+    collection = {type: 'FeatureCollection', features: [{type: 'Feature', properties: {}, geometry: data}]};
+  }
+  var wrapped = {type: 'GeoJSON', objects: {}};
+  wrapped.objects[layer] = collection;
+  return wrapped;
+}
+
+/**
+ * Returns GeoJSON features of a topology object
+ * @param topology
+ * @param name Object name
+ * @returns {Array}
+ */
+function getFeatures(topology, name) {
+  var object = topology.objects[name];
+  if ('FeatureCollection' === object.type) {
+    return object.features;
+  }
+  var collection = topojson.feature(topology, object);
+  return collection.features || [collection];
+}
+
+/**
+ * Normalizes reference layer definition, see extraLayers option
+ * @param layer Topology object name or definition
+ * @returns {{name, object, data, mesh, style, className, zIndex, visible}}
+ */
+function getLayerDefinition(layer) {
+  if (typeof layer === 'string') {
+    layer = {name: layer};
+  }
+  if (!layer || !layer.name) {
+    message('reference layer needs a name', 'error');
+  }
+  // Borders of topology objects are drawn once, as a mesh
+  return Object.assign({
+    object: layer.name,
     data: null,
-    // Geometries
-    topography: null,
-    topographyGranularity: null,
-    extraLayers: [],
-    topologyAdditions: null,
-    // Color scheme
-    colorScheme: 'qualitative',
-    colorData: {0:'#cccccc', 1:'#777777'},
-    // props
-    labels: false,
-    labelsFiltered: false,
-    labelsSource: null,
-    legend: true,
-    legendTemplate: null,
-    legendLabels: null,
-    tooltip: true,
-    tooltipTemplate: '<p>Name: [[name]]<br>Value: [[value]]</p>',
-    callout: true,
-    calloutElements: [],
-    calloutElementTemplate: null,
-    alterTopography: null,
-    // Map positioning
-    center: {x: 0.5, y:0.5},
-    scaleFactor: 1,
+    mesh: !layer.data,
+    style: null,
+    className: null,
+    zIndex: 1,
+    visible: true
+  }, layer);
+}
+
+/**
+ * Loads topology of a reference layer: its data, an object of the map topology
+ * or a layer of the registered topology set
+ * @param layer Definition
+ * @param cb Node-style callback with topology having the layer under its name
+ */
+function loadLayer(layer, cb) {
+  var SELF = this;
+  if (layer.data && typeof layer.data === 'object') {
+    cb(null, toTopology(layer.data, layer.name, layer.object));
+  }
+  else if (typeof layer.data === 'string') {
+    d3.json(layer.data).then(function (file) {
+      cb(null, toTopology(file, layer.name, layer.object));
+    }, function (err) {
+      cb(new Error('failed to load layer ' + layer.name + ': ' + err.message));
+    });
+  }
+  else if (SELF.topography && SELF.topography.objects.hasOwnProperty(layer.object)) {
+    cb(null, toTopology(SELF.topography, layer.name, layer.object));
+  }
+  else if (typeof SELF.topographyName === 'string') {
+    loadTopology.call(SELF, SELF.topographyName, layer.object, function (err, topology) {
+      cb(err, err ? null : toTopology(topology, layer.name, layer.object));
+    });
+  }
+  else {
+    cb(new Error('layer ' + layer.object + ' is not in the topology'));
+  }
+}
+
+/**
+ * Shapes of a reference layer: mesh of the borders or features.
+ * Mesh is either true for all borders, 'interior' for borders between
+ * features or 'exterior' for the outline.
+ * @param layer Definition
+ * @param topology
+ * @returns {Array}
+ */
+function getLayerShapes(layer, topology) {
+  var object = topology.objects[layer.name];
+  if (!layer.mesh || 'Topology' !== topology.type) {
+    return getFeatures(topology, layer.name);
+  }
+  if ('interior' === layer.mesh) {
+    return [topojson.mesh(topology, object, function (a, b) { return a !== b; })];
+  }
+  if ('exterior' === layer.mesh) {
+    return [topojson.mesh(topology, object, function (a, b) { return a === b; })];
+  }
+  return [topojson.mesh(topology, object)];
+}
+
+/**
+ * Orders layers: reference layers by zIndex, below data layers when negative.
+ * Overlays and labels stay on top.
+ */
+function orderLayers() {
+  var SELF = this, layers = SELF.VIEWPORT.selectAll('g.layer--extra').nodes().sort(function (a, b) {
+    return d3.select(a).datum().zIndex - d3.select(b).datum().zIndex;
+  });
+  layers.filter(function (node) { return d3.select(node).datum().zIndex < 0; }).reverse().forEach(function (node) {
+    d3.select(node).lower();
+  });
+  layers.filter(function (node) { return d3.select(node).datum().zIndex >= 0; }).forEach(function (node) {
+    d3.select(node).raise();
+  });
+  SELF.VIEWPORT.selectAll('.layer--insets, .layer--dots, .layer--symbols, .layer--labels').raise();
+}
+
+/**
+ * Registers a topology set, so maps can refer to it by name
+ * Each layer is either a url, TopoJSON/GeoJSON object or a source
+ * definition: {url, object, data} or {file, dir} for bundled files
+ * @param name Set name
+ * @param layers Layers by name
+ */
+function registerTopology(name, layers) {
+  _topo[name] = _topo[name] || {};
+  Object.keys(layers).forEach(function (layer) {
+    var source = layers[layer];
+    if (typeof source === 'string') {
+      source = {url: source};
+    }
+    else if (source.type) {
+      source = {data: source};
+    }
+    _topo[name][layer] = Object.assign({}, source, {
+      data: source.data ? toTopology(source.data, layer, source.object) : null
+    });
+  });
+}
+
+/**
+ * Creates projection by name
+ * @param projection Name or d3 projection instance
+ * @param insets Inset overrides of composite projections, see insets option
+ * @returns {*}
+ */
+function getProjection(projection, insets) {
+  if (typeof projection === 'function') {
+    return projection;
+  }
+  if (!_projections.hasOwnProperty(projection)) {
+    message('unknown projection ' + projection, 'error');
+  }
+  if (typeof _projections[projection] === 'function') {
+    return _projections[projection](insets);
+  }
+  return d3[_projections[projection]]();
+}
+
+/**
+ * Whether the projection is fitted to the container by default, see fit option
+ * @param projection
+ * @returns {boolean}
+ */
+function isFittedProjection(projection) {
+  return 'albersUsa' !== projection && 'albersUsaTerritories' !== projection;
+}
+
+/**
+ * Inset definitions with overrides applied, insets set to false are left out
+ * @param overrides {name: {position, scale, extent, bounds, frame}|false}
+ * @returns {Array}
+ */
+function getInsets(overrides) {
+  overrides = overrides || {};
+  Object.keys(overrides).forEach(function (name) {
+    if (!_insets.some(function (inset) { return inset.name === name; })) {
+      message('unknown inset ' + name, 'warning');
+    }
+  });
+  return _insets
+    .filter(function (inset) {
+      return overrides[inset.name] !== false;
+    })
+    .map(function (inset) {
+      return Object.assign({frame: true}, inset, overrides[inset.name]);
+    });
+}
+
+/**
+ * Composite of conic equal-area projections of the lower 48, Alaska and Hawaii
+ * (as d3.geoAlbersUsa) and Mercator insets of the territories.
+ * Each inset only draws what falls within its clip extent.
+ * @param insets Overrides, see insets option
+ * @returns {function} Projection with scale, translate, precision, fitSize,
+ * fitExtent and insets() (clip extents for frames)
+ */
+function createAlbersUsaTerritories(insets) {
+  var definitions = getInsets(insets), k = 1070, t = [480, 250], precision = Math.SQRT1_2,
+    parts = [], point = null, cache = null, cacheStream = null;
+  var pointStream = {point: function (x, y) { point = [x, y]; }};
+
+  definitions.forEach(function (inset) {
+    parts.push({
+      inset: inset,
+      projection: inset.bounds
+        ? d3.geoMercator()
+        : d3.geoConicEqualArea().rotate(inset.rotate).center(inset.center).parallels(inset.parallels)
+    });
+  });
+
+  function projection(coordinates) {
+    point = null;
+    for (var i = 0; i < parts.length && !point; i++) {
+      parts[i].point.point(coordinates[0], coordinates[1]);
+    }
+    return point;
+  }
+
+  // Lower 48 extent covers the smaller insets, they go first
+  projection.invert = function (coordinates) {
+    for (var i = parts.length - 1; i >= 0; i--) {
+      var e = parts[i].extent;
+      if (coordinates[0] >= e[0][0] && coordinates[0] <= e[1][0] && coordinates[1] >= e[0][1] && coordinates[1] <= e[1][1]) {
+        return parts[i].projection.invert(coordinates);
+      }
+    }
+    return null;
+  };
+
+  projection.stream = function (stream) {
+    if (!cache || cacheStream !== stream) {
+      cacheStream = stream;
+      cache = multiplexStream(parts.map(function (part) {
+        return part.projection.stream(stream);
+      }));
+    }
+    return cache;
+  };
+
+  projection.precision = function (_) {
+    if (!arguments.length) {
+      return precision;
+    }
+    precision = +_;
+    parts.forEach(function (part) {
+      part.projection.precision(precision);
+    });
+    return reset();
+  };
+
+  projection.scale = function (_) {
+    if (!arguments.length) {
+      return k;
+    }
+    k = +_;
+    return projection.translate(t);
+  };
+
+  projection.translate = function (_) {
+    if (!arguments.length) {
+      return t;
+    }
+    t = [+_[0], +_[1]];
+    var epsilon = 1e-6;
+    parts.forEach(function (part) {
+      var inset = part.inset, x = t[0] + inset.position[0] * k, y = t[1] + inset.position[1] * k,
+        scale = inset.scale * k, extent;
+      part.projection.scale(scale);
+      if (inset.bounds) {
+        // Mercator keeps the bounds rectangular, centered on the position
+        part.projection.translate([0, 0]);
+        var a = part.projection([inset.bounds[0][0], inset.bounds[1][1]]),
+          b = part.projection([inset.bounds[1][0], inset.bounds[0][1]]),
+          dx = x - (a[0] + b[0]) / 2, dy = y - (a[1] + b[1]) / 2;
+        part.projection.translate([dx, dy]);
+        extent = [[a[0] + dx, a[1] + dy], [b[0] + dx, b[1] + dy]];
+      }
+      else {
+        part.projection.translate([x, y]);
+        extent = [
+          [x + inset.extent[0][0] * scale + epsilon, y + inset.extent[0][1] * scale + epsilon],
+          [x + inset.extent[1][0] * scale - epsilon, y + inset.extent[1][1] * scale - epsilon]
+        ];
+      }
+      part.extent = extent;
+      part.point = part.projection.clipExtent(extent).stream(pointStream);
+    });
+    return reset();
+  };
+
+  projection.fitExtent = function (extent, object) {
+    var width = extent[1][0] - extent[0][0], height = extent[1][1] - extent[0][1];
+    projection.scale(150).translate([0, 0]);
+    var b = d3.geoPath(projection).bounds(object),
+      s = Math.min(width / (b[1][0] - b[0][0]), height / (b[1][1] - b[0][1]));
+    return projection.scale(150 * s).translate([
+      extent[0][0] + (width - s * (b[1][0] + b[0][0])) / 2,
+      extent[0][1] + (height - s * (b[1][1] + b[0][1])) / 2
+    ]);
+  };
+
+  projection.fitSize = function (size, object) {
+    return projection.fitExtent([[0, 0], size], object);
+  };
+
+  projection.insets = function () {
+    return parts.map(function (part) {
+      return {name: part.inset.name, frame: part.inset.frame, extent: part.extent};
+    });
+  };
+
+  function reset() {
+    cache = cacheStream = null;
+    return projection;
+  }
+
+  return projection.scale(k);
+}
+
+/**
+ * Frames of the insets, see insetFrames option. Drilled down levels have none.
+ * @returns {Array} [{name, extent}]
+ */
+function getInsetFrames() {
+  var SELF = this;
+  if (!SELF.options.insetFrames || typeof SELF.projection.insets !== 'function'
+    || (SELF.drillPath && SELF.drillPath.length > 1)) {
+    return [];
+  }
+  return SELF.projection.insets().filter(function (inset) {
+    return inset.frame;
+  });
+}
+
+/**
+ * Path of an inset frame
+ * @param inset {extent}
+ * @returns {string}
+ */
+function getInsetFramePath(inset) {
+  var e = inset.extent;
+  return 'M' + e[0][0] + ',' + e[0][1] + 'H' + e[1][0] + 'V' + e[1][1] + 'H' + e[0][0] + 'Z';
+}
+
+/**
+ * Draws inset frames of composite projections, above the data
+ */
+function renderInsetFrames() {
+  var SELF = this, frames = getInsetFrames.call(SELF), layer = SELF.VIEWPORT.select('g.layer--insets');
+  if (!frames.length) {
+    layer.remove();
+    return;
+  }
+  if (layer.empty()) {
+    layer = SELF.VIEWPORT.append('g').attr('class', 'layer layer--insets').attr('aria-hidden', 'true');
+  }
+  var paths = layer.selectAll('path').data(frames, function (d) { return d.name; });
+  paths.exit().remove();
+  paths.enter().append('path')
+    .attr('class', function (d) { return 'inset-frame inset-frame--' + d.name; })
+    .merge(paths)
+    .attr('d', getInsetFramePath);
+  orderLayers.call(SELF);
+}
+
+/**
+ * Warns about regions with data the projection leaves out, e.g. territories
+ * with albersUsa. Each set of regions of a layer is reported once.
+ * @param ids
+ * @param layerName
+ */
+function reportHiddenRegions(ids, layerName) {
+  var key = ids.join(','), reported = this.hiddenRegions = this.hiddenRegions || {};
+  if (ids.length && key !== reported[layerName]) {
+    message('regions with data outside of the projection: ' + ids.join(', ')
+      + (typeof this.projection.insets === 'function' ? '' : ', see albersUsaTerritories projection'), 'warning');
+  }
+  reported[layerName] = key;
+}
+
+/**
+ * Stream passing geometry to several streams, see createAlbersUsaTerritories
+ * @param streams
+ * @returns {Object}
+ */
+function multiplexStream(streams) {
+  var stream = {};
+  ['point', 'sphere', 'lineStart', 'lineEnd', 'polygonStart', 'polygonEnd'].forEach(function (method) {
+    stream[method] = function () {
+      var args = arguments;
+      streams.forEach(function (s) {
+        s[method].apply(s, args);
+      });
+    };
+  });
+  return stream;
+}
+
+/**
+ * Scales and translates projection to the map size.
+ * Fitted projections are sized to the data layer extent, others are scaled
+ * by width; both honour center and scaleFactor options.
+ * @param width
+ * @param height
+ */
+function fitProjection(width, height) {
+  var SELF = this, options = SELF.options;
+  width = width || options.width;
+  height = height || options.height;
+  var center = calcCenterPoint.call(SELF, width, height);
+
+  // Drilled down levels always fill the map
+  var fit = options.fit || (SELF.drillPath && SELF.drillPath.length > 1);
+  if (!fit || !SELF.topography || !SELF.topography.objects
+    || !SELF.topography.objects.hasOwnProperty(options.topographyGranularity)) {
+    if (SELF.sourceProjection) {
+      // Same placement as albersUsa scaled by width
+      var k = width * options.scaleFactor / _albers.scale;
+      SELF.projection.scale(k).translate([center[0] - _albers.translate[0] * k, center[1] - _albers.translate[1] * k]);
+    }
+    else {
+      SELF.projection.scale([width * options.scaleFactor]).translate(center);
+    }
+    return;
+  }
+
+  SELF.projection.fitSize([width, height], {
+    type: 'FeatureCollection',
+    features: getFeatures(SELF.topography, options.topographyGranularity)
+  });
+  var scale = SELF.projection.scale(), translate = SELF.projection.translate();
+  SELF.projection
+    .scale(scale * options.scaleFactor)
+    .translate([
+      center[0] + (translate[0] - width / 2) * options.scaleFactor,
+      center[1] + (translate[1] - height / 2) * options.scaleFactor
+    ]);
+}
+
+/**
+ * Adds data properties to topography features.
+ * Source topology is left untouched (it is shared through the cache), so
+ * data can be re-joined any number of times.
+ * @returns {null}
+ */
+function augmentTopography(topo, feature, data, options, report) {
+  if (!topo || typeof topo !== 'object') {
+    return null;
+  }
+  if (!topo.objects.hasOwnProperty(feature)) {
+    return topo;
+  }
+  data = data || [];
+  options = options || defaults;
+
+  var dataKey = getJoinKey(options.dataKey, options.keyNormalizer),
+    featureKey = getJoinKey(options.featureKey, options.keyNormalizer, true);
+
+  // create a map of normalized keys in the dataset to check against later
+  var index = {}, matched = {};
+  for (var i = 0; i < data.length; i++) {
+    var key = dataKey(data[i]);
+    if (key !== null) {
+      // Last row wins, rows it replaces are reported as duplicates
+      if (report && index.hasOwnProperty(key)) {
+        report.duplicateData.push(data[index[key]]);
+      }
+      index[key] = i;
+    }
+    else if (report) {
+      report.unmatchedData.push(data[i]);
+    }
+  }
+
+  var collectionKey = 'FeatureCollection' === topo.objects[feature].type ? 'features' : 'geometries';
+  var geometries = topo.objects[feature][collectionKey].map(function (geometry) {
+    var key = featureKey(geometry), row = null;
+    if (key !== null && index.hasOwnProperty(key)) {
+      row = data[index[key]];
+      matched[index[key]] = true;
+    }
+    else if (report) {
+      report.unmatchedFeatures.push(geometry);
+    }
+    return Object.assign({}, geometry, {
+      properties: Object.assign({}, geometry.properties, row)
+    });
+  });
+
+  if (report) {
+    for (var k in index) {
+      if (index.hasOwnProperty(k) && !matched[index[k]]) {
+        report.unmatchedData.push(data[index[k]]);
+      }
+    }
+    report.matched = Object.keys(matched).length;
+  }
+
+  var objects = Object.assign({}, topo.objects);
+  objects[feature] = Object.assign({}, topo.objects[feature]);
+  objects[feature][collectionKey] = geometries;
+  return Object.assign({}, topo, {objects: objects});
+}
+
+/**
+ * Left-pads numeric string with zeros
+ * @param value
+ * @param length
+ * @returns {string}
+ */
+function padNumber(value, length) {
+  value = String(value);
+  while (value.length < length) {
+    value = '0' + value;
+  }
+  return value;
+}
+
+/**
+ * Finds a state by FIPS code, USPS abbreviation or name
+ * @param key
+ * @returns {Array|null} [fips, usps, name]
+ */
+function lookupState(key) {
+  if (key === null || key === undefined) {
+    return null;
+  }
+  key = String(key).trim();
+  if (/^\d{1,2}$/.test(key)) {
+    key = padNumber(key, 2);
+  }
+  key = key.toLowerCase();
+  for (var i = 0; i < _states.length; i++) {
+    if (_states[i][0] === key || _states[i][1].toLowerCase() === key || _states[i][2].toLowerCase() === key) {
+      return _states[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns function extracting normalized join key from a data row or feature
+ * @param key Property name or accessor function
+ * @param normalizer Normalizer name or function
+ * @param isFeature Key for a topology feature, 'id' then refers to feature id
+ * @returns {function}
+ */
+function getJoinKey(key, normalizer, isFeature) {
+  var accessor = key, normalize = normalizer;
+  if (typeof key !== 'function') {
+    accessor = function (obj) {
+      if (isFeature && 'id' === key) {
+        return obj.id;
+      }
+      return isFeature ? (obj.properties || {})[key] : obj[key];
+    };
+  }
+  if (typeof normalizer !== 'function') {
+    normalize = _normalizers[normalizer || 'number'];
+    if (!normalize) {
+      message('unknown key normalizer ' + normalizer, 'error');
+    }
+  }
+  return function (obj) {
+    var value = accessor(obj);
+    return value === undefined || value === null ? null : normalize(value);
+  };
+}
+
+/**
+ * Joins data onto the source topography and recomputes color scale
+ * @param data
+ */
+function joinData(data) {
+  var SELF = this;
+  SELF.data = data;
+
+  // Index rows for event handlers
+  var keys = getJoinOptions.call(SELF), dataKey = getJoinKey(keys.dataKey, keys.keyNormalizer);
+  SELF.featureKey = getJoinKey(keys.featureKey, keys.keyNormalizer, true);
+  SELF.dataIndex = {};
+  (data || []).forEach(function (row, idx) {
+    var key = dataKey(row);
+    if (key !== null) {
+      SELF.dataIndex[key] = idx;
+    }
+  });
+
+  // Time series are classified across all periods, so colors are comparable between them
+  var fixed = SELF.series && 'fixed' === SELF.options.timeScale;
+  SELF.colorScale = getColorScale(SELF.options, fixed ? SELF.series.rows : data);
+  SELF.options.colorScale = SELF.colorScale;
+  SELF.joinReport = {matched: 0, unmatchedData: [], unmatchedFeatures: [], duplicateData: []};
+  var topography = augmentTopography(SELF.topography, SELF.options.topographyGranularity, data, keys, SELF.joinReport);
+  SELF.options.topography = augmentTopography(topography, 'zones', data, SELF.options);
+  reportJoin.call(SELF, SELF.joinReport, dataKey);
+}
+
+/**
+ * Warns about the join report, see joinWarnings option.
+ * Each warning is printed once, until its keys change.
+ * @param report See getJoinReport
+ * @param dataKey Join key of data rows
+ */
+function reportJoin(report, dataKey) {
+  var SELF = this, level = SELF.options.joinWarnings, layerName = SELF.options.topographyGranularity,
+    reported = SELF.reportedJoin = SELF.reportedJoin || {};
+  var warnings = {
+    unmatchedData: ['data rows were not matched', report.unmatchedData.map(dataKey)],
+    duplicateData: ['data rows were replaced by later rows with the same key', report.duplicateData.map(dataKey)],
+    unmatchedFeatures: ['features were not matched', 'all' === level ? report.unmatchedFeatures.map(SELF.featureKey) : []]
+  };
+  Object.keys(warnings).forEach(function (kind) {
+    var keys = level ? warnings[kind][1].map(String) : [], key = keys.join(',');
+    if (keys.length && key !== reported[layerName + '.' + kind]) {
+      message(keys.length + ' ' + warnings[kind][0] + ': '
+        + keys.slice(0, 10).join(', ') + (keys.length > 10 ? ', …' : ''), 'warning');
+    }
+    reported[layerName + '.' + kind] = key;
+  });
+}
+
+/**
+ * Logging
+ * @param msg Message to print
+ * @param type Type of message
+ */
+function message(msg, type) {
+  type = type || 'info';
+  msg = msg || false;
+  if (msg) {
+    msg = 'CHOROPLETH: ' + msg;
+    console.log(msg);
+    if ('error' === type) {
+      throw new Error(msg)
+    }
+  }
+}
+
+/**
+ * Applies defaults on top of provided settings object
+ * @param obj
+ * @returns {*}
+ */
+//stolen from underscore.js
+function applyDefaults(obj) {
+  Array.prototype.slice.call(arguments, 1).forEach(function(source) {
+    if (source) {
+      for (var prop in source) {
+        // Deep copy if property not set
+        if (obj[prop] == null) {
+          if (typeof source[prop] == 'function') {
+            obj[prop] = source[prop];
+          }
+          else {
+            obj[prop] = JSON.parse(JSON.stringify(source[prop]));
+          }
+        }
+      }
+    }
+  });
+  return obj;
+}
+
+/**
+ * Adds some extensions to D3
+ */
+function extendD3() {
+  // Moves selection to front
+  d3.selection.prototype.moveToFront = function () {
+    return this.each(function () {
+      this.parentNode.appendChild(this);
+    });
+  };
+
+  // Moves selection to back
+  d3.selection.prototype.moveToBack = function () {
+    return this.each(function () {
+      var firstChild = this.parentNode.firstChild;
+      if (firstChild) {
+        this.parentNode.insertBefore(this, firstChild);
+      }
+    });
+  };
+
+  // Sets attributes from an object returned by the callback
+  if (!d3.selection.prototype.attrs) {
+    d3.selection.prototype.attrs = function (fn) {
+      return this.each(function () {
+        var values = fn.apply(this, arguments) || {}, node = d3.select(this);
+        Object.keys(values).forEach(function (name) {
+          node.attr(name, values[name]);
+        });
+      });
+    };
+  }
+}
+
+// Default d3-scale-chromatic ramps per color scheme
+var _ramps = {
+  'single-hue': 'Blues',
+  'part-spectral': 'YlGnBu',
+  'full-spectral': 'Spectral',
+  'bipolar': 'RdBu'
+};
+
+// 3x3 palette of the bivariate scheme, rows from low to high y, columns from low to high x.
+// Orange and blue stay apart with color vision deficiencies, see checkPalette
+var _bivariateColors = [
+  '#f3f3f3', '#f3e6b3', '#f3b300',
+  '#b4d3e1', '#b3b3b3', '#b36600',
+  '#509dc2', '#376387', '#000000'
+];
+
+/**
+ * Returns numeric values of the data set, sorted ascending
+ * @param data
+ * @param field Defaults to value
+ * @returns {number[]}
+ */
+function getSortedValues(data, field) {
+  field = field || 'value';
+  return (data || [])
+    .map(function (d) { return d[field] === null || d[field] === '' ? NaN : Number(d[field]); })
+    .filter(function (v) { return isFinite(v); })
+    .sort(d3.ascending);
+}
+
+/**
+ * Computes Jenks natural breaks (Fisher's exact optimization).
+ * @param values Sorted values
+ * @param n Number of classes
+ * @returns {number[]} Inner class breaks
+ */
+function jenksBreaks(values, n) {
+  var count = values.length, lower = [], variance = [], i, j, l;
+  if (!count) {
+    return [];
+  }
+  n = Math.min(n, count);
+  for (i = 0; i <= count; i++) {
+    lower.push([]);
+    variance.push([]);
+    for (j = 0; j <= n; j++) {
+      lower[i][j] = 0;
+      variance[i][j] = i > 0 ? Infinity : 0;
+    }
+  }
+  for (j = 1; j <= n; j++) {
+    lower[1][j] = 1;
+    variance[1][j] = 0;
+  }
+
+  for (l = 2; l <= count; l++) {
+    var sum = 0, sumSquares = 0, w = 0, v = 0;
+    for (var m = 1; m <= l; m++) {
+      var lowerIdx = l - m + 1, val = values[lowerIdx - 1];
+      w++;
+      sum += val;
+      sumSquares += val * val;
+      v = sumSquares - (sum * sum) / w;
+      if (lowerIdx > 1) {
+        for (j = 2; j <= n; j++) {
+          if (variance[l][j] >= v + variance[lowerIdx - 1][j - 1]) {
+            lower[l][j] = lowerIdx;
+            variance[l][j] = v + variance[lowerIdx - 1][j - 1];
+          }
+        }
+      }
+    }
+    lower[l][1] = 1;
+    variance[l][1] = v;
+  }
+
+  var breaks = [], k = count;
+  for (j = n; j >= 2; j--) {
+    var idx = lower[k][j] - 1;
+    breaks.unshift(values[idx]);
+    k = idx;
+  }
+  return breaks;
+}
+
+/**
+ * Classifies values into n classes
+ * @param values Sorted values
+ * @param method Classification method
+ * @param n Number of classes
+ * @param thresholds User-supplied breaks
+ * @returns {number[]} Unique inner class breaks
+ */
+function getClassBreaks(values, method, n, thresholds) {
+  var breaks = [], i;
+  switch (method) {
+    case 'threshold':
+      if (!Array.isArray(thresholds) || !thresholds.length) {
+        message('thresholds option is required for threshold classification', 'error');
+      }
+      breaks = thresholds.map(Number).sort(d3.ascending);
+      break;
+    case 'equal-interval':
+      var extent = d3.extent(values), step = (extent[1] - extent[0]) / n;
+      for (i = 1; i < n; i++) {
+        breaks.push(extent[0] + step * i);
+      }
+      break;
+    case 'jenks':
+      breaks = jenksBreaks(values, n);
+      break;
+    case 'quantile':
+    default:
+      for (i = 1; i < n; i++) {
+        breaks.push(d3.quantileSorted(values, i / n));
+      }
+      break;
+  }
+  return breaks.filter(function (b, idx) {
+    return b !== undefined && !isNaN(b) && breaks.indexOf(b) === idx;
+  });
+}
+
+/**
+ * Returns color interpolator for the ramp
+ * @param ramp Scheme name (e.g. 'Blues'), interpolator or array of colors
+ * @returns {function}
+ */
+function getRampInterpolator(ramp) {
+  if (typeof ramp === 'function') {
+    return ramp;
+  }
+  if (Array.isArray(ramp)) {
+    return d3.piecewise(d3.interpolateRgb, ramp);
+  }
+  if (typeof d3['interpolate' + ramp] !== 'function') {
+    message('unknown color ramp ' + ramp, 'error');
+  }
+  return d3['interpolate' + ramp];
+}
+
+/**
+ * Returns n discrete colors of the ramp
+ * Prefers hand-picked d3-scale-chromatic schemes when available
+ * @param ramp Scheme name, interpolator or array of colors
+ * @param n
+ * @returns {string[]}
+ */
+function getRampColors(ramp, n) {
+  if (typeof ramp === 'string' && Array.isArray(d3['scheme' + ramp]) && d3['scheme' + ramp][n]) {
+    return d3['scheme' + ramp][n].slice();
+  }
+  if (Array.isArray(ramp) && ramp.length === n) {
+    return ramp.slice();
+  }
+  if (n === 1) {
+    return [getRampInterpolator(ramp)(0.5)];
+  }
+  return d3.quantize(getRampInterpolator(ramp), n);
+}
+
+/**
+ * Returns sequential scale classifying the data with the configured method
+ * @param options
+ * @param values Sorted values
+ * @param ramp
+ * @returns {*}
+ */
+function getSequentialScale(options, values, ramp) {
+  if ('continuous' === options.classification) {
+    return d3.scaleSequential(getRampInterpolator(ramp)).domain(d3.extent(values));
+  }
+  var breaks = getClassBreaks(values, options.classification, options.classes, options.thresholds);
+  return d3.scaleThreshold().domain(breaks).range(getRampColors(ramp, breaks.length + 1));
+}
+
+/**
+ * Returns diverging scale centered on options.midpoint.
+ * Values on each side of the midpoint are classified separately, so both
+ * halves of the ramp keep the same intensity steps.
+ * @param options
+ * @param values Sorted values
+ * @param ramp
+ * @returns {*}
+ */
+function getDivergingScale(options, values, ramp) {
+  var mid = Number(options.midpoint), extent = d3.extent(values), breaks;
+  if ('continuous' === options.classification) {
+    return d3.scaleDiverging(getRampInterpolator(ramp))
+      .domain([Math.min(extent[0], mid), mid, Math.max(extent[1], mid)]);
+  }
+
+  if ('threshold' === options.classification) {
+    breaks = getClassBreaks(values, 'threshold', options.classes, options.thresholds);
+  }
+  else {
+    var below = values.filter(function (v) { return v < mid; }),
+      above = values.filter(function (v) { return v >= mid; }),
+      lowClasses = Math.max(1, Math.floor(options.classes / 2));
+    breaks = getClassBreaks(below.length ? below : [mid], options.classification, lowClasses)
+      .concat([mid])
+      .concat(getClassBreaks(above.length ? above : [mid], options.classification, options.classes - lowClasses))
+      .filter(function (b, idx, arr) { return arr.indexOf(b) === idx; });
+  }
+
+  // Classes below the midpoint take the lower half of the ramp, the rest the upper half
+  var lowCount = breaks.filter(function (b) { return b <= mid; }).length,
+    highCount = breaks.length + 1 - lowCount,
+    half = Math.max(lowCount, highCount),
+    colors = getRampColors(ramp, half * 2).slice(half - lowCount, half + highCount);
+  return d3.scaleThreshold().domain(breaks).range(colors);
+}
+
+/**
+ * Returns bivariate scale: each of the two fields is classified separately,
+ * the pair of classes picks a color of the palette.
+ * Scale is called with a data row or feature properties.
+ * @param options
+ * @param data
+ * @returns {function} Also has fields, classifiers, size and range()
+ */
+function getBivariateScale(options, data) {
+  var fields = options.bivariateFields,
+    colors = Array.isArray(options.colorRamp) ? options.colorRamp : _bivariateColors,
+    size = Math.round(Math.sqrt(colors.length)),
+    method = 'continuous' === options.classification ? 'quantile' : options.classification;
+  if (!Array.isArray(fields) || fields.length !== 2) {
+    message('bivariateFields option is required for bivariate scheme', 'error');
+  }
+  if (size * size !== colors.length) {
+    message('bivariate palette must have a square number of colors', 'error');
+  }
+
+  // Thresholds are given per field: [[x breaks], [y breaks]]
+  var classifiers = fields.map(function (field, axis) {
+    var thresholds = Array.isArray(options.thresholds) ? options.thresholds[axis] : null;
+    return d3.scaleThreshold()
+      .domain(getClassBreaks(getSortedValues(data, field), method, size, thresholds))
+      .range(d3.range(size));
+  });
+
+  var scale = function (properties) {
+    var classes = fields.map(function (field, axis) {
+      var v = properties[field];
+      return v === null || v === '' || !isFinite(v) ? null : classifiers[axis](Number(v));
+    });
+    return null === classes[0] || null === classes[1] ? null : colors[classes[1] * size + classes[0]];
+  };
+  scale.fields = fields;
+  scale.classifiers = classifiers;
+  scale.size = size;
+  scale.range = function () {
+    return colors.slice();
+  };
+  return scale;
+}
+
+/**
+ * Returns color scale based on the settings provided
+ * @param options
+ * @returns {*}
+ */
+function getColorScale(options, data) {
+  var scale = null;
+  // Suppressed values are left out of classification
+  if (options.suppressed) {
+    data = (data || []).filter(function (row) {
+      return !isSuppressed(row, options);
+    });
+  }
+
+  // Check if custom call back is provided
+  if (typeof options.colorScheme === 'function') {
+    return options.colorScheme(options.colorData);
+  }
+
+  // Else go over available scheme types
+  switch (options.colorScheme) {
+    case 'qualitative':
+      var domain = [], range = [];
+      for (let idx in options.colorData) {
+        if (options.colorData.hasOwnProperty(idx)) {
+          domain.push(Number(idx));
+          range.push(options.colorData[idx]);
+        }
+      }
+      scale = d3.scaleOrdinal().domain(domain).range(range);
+      break;
+    case 'grayscale':
+      var dataExtent = d3.extent(data, d => d.value);
+      scale = d3.scaleLinear().domain(dataExtent).range(['#d3d1d1', 'black']);
+      break;
+    case 'bipolar':
+      scale = getDivergingScale(options, getSortedValues(data), options.colorRamp || _ramps['bipolar']);
+      break;
+    case 'bivariate':
+      scale = getBivariateScale(options, data);
+      break;
+    case 'single-hue':
+    case 'part-spectral':
+    case 'full-spectral':
+    default:
+      var ramp = options.colorRamp || _ramps[options.colorScheme] || _ramps['single-hue'];
+      scale = getSequentialScale(options, getSortedValues(data), ramp);
+      break;
+  }
+  return scale;
+}
+
+/**
+ * Returns legend label override for the given key, if any
+ * @param options
+ * @param key Domain value or class index
+ * @returns {string|null}
+ */
+function getLegendLabel(options, key) {
+  if (options.legendLabels != null && options.legendLabels.hasOwnProperty(key)) {
+    return options.legendLabels[key];
+  }
+  return null;
+}
+
+/**
+ * Returns number formatter for legend values
+ * @param options
+ * @returns {function}
+ */
+function getLegendFormat(options) {
+  if (typeof options.legendFormat === 'function') {
+    return options.legendFormat;
+  }
+  return d3.format(options.legendFormat || ',.3~r');
+}
+
+/**
+ * Formats a class range, e.g. '10–25%'.
+ * Unit suffix shared by both ends is printed once.
+ * @param extent [lower, upper], either may be undefined for open classes
+ * @param format
+ * @returns {string}
+ */
+function formatRange(extent, format) {
+  if (extent[0] == null) {
+    return '< ' + format(extent[1]);
+  }
+  if (extent[1] == null) {
+    return '≥ ' + format(extent[0]);
+  }
+  var lower = format(extent[0]), upper = format(extent[1]),
+    suffix = /[^\d.]*$/.exec(lower)[0];
+  if (suffix && upper.slice(-suffix.length) === suffix) {
+    lower = lower.slice(0, -suffix.length);
+  }
+  return lower + '–' + upper;
+}
+
+/**
+ * Legend varies based on the scale: continuous scales get a gradient bar,
+ * classified scales get a band per class, bivariate scales a square grid,
+ * anything else a swatch per value
+ * @param scale
+ * @param options
+ * @returns {string} gradient, band, bivariate or simple
+ */
+function getLegendType(scale, options) {
+  if (scale.fields) {
+    return 'bivariate';
+  }
+  if (typeof scale.interpolator === 'function') {
+    return 'gradient';
+  }
+  if (typeof scale.invertExtent === 'function' && 'grayscale' !== options.colorScheme) {
+    return 'band';
+  }
+  return 'simple';
+}
+
+/**
+ * Returns legend swatches: a swatch per domain value for simple legends,
+ * per class for band legends, per pair of classes for bivariate legends,
+ * followed by no data swatch
+ * @param type Legend type
+ * @returns {Array} [{value, color, label}], band and bivariate items also have index and extent
+ */
+function getLegendItems(type) {
+  var SELF = this, items = [];
+  if ('simple' === type) {
+    SELF.colorScale.domain().forEach(function (v) {
+      var l = getLegendLabel(SELF.options, v);
+      items.push({value: v, color: SELF.colorScale(v), label: l === null ? v.toString() : l});
+    });
+  }
+  else if ('band' === type) {
+    var format = getLegendFormat(SELF.options);
+    SELF.colorScale.range().forEach(function (c, idx) {
+      var l = getLegendLabel(SELF.options, idx), extent = SELF.colorScale.invertExtent(c);
+      items.push({
+        index: idx,
+        extent: extent,
+        color: c,
+        label: l === null ? formatRange(extent, format) : l
+      });
+    });
+  }
+  else if ('bivariate' === type) {
+    var scale = SELF.colorScale, axes = getBivariateLabels(SELF.options, scale.fields),
+      rangeFormat = getLegendFormat(SELF.options);
+    scale.range().forEach(function (c, idx) {
+      var l = getLegendLabel(SELF.options, idx),
+        extent = [scale.classifiers[0].invertExtent(idx % scale.size), scale.classifiers[1].invertExtent(Math.floor(idx / scale.size))];
+      items.push({
+        index: idx,
+        extent: extent,
+        color: c,
+        label: l === null ? axes[0] + ' ' + formatRange(extent[0], rangeFormat) + ', ' + axes[1] + ' ' + formatRange(extent[1], rangeFormat) : l
+      });
+    });
+  }
+
+  if (SELF.options.legendNoData) {
+    items.push({
+      value: null,
+      color: SELF.options.noDataFill,
+      label: getNoDataLabel.call(SELF, 'null'),
+      noData: true
+    });
+  }
+  if (SELF.options.suppressed && SELF.options.legendSuppressed) {
+    items.push({
+      value: null,
+      color: SELF.options.suppressedFill,
+      label: getNoDataLabel.call(SELF, 'suppressed'),
+      noData: true,
+      suppressed: true
+    });
+  }
+  return items;
+}
+
+/**
+ * Returns color stops and ticks of a gradient legend
+ * @returns {{stops: Array, ticks: Array}} offsets and positions are in %
+ */
+function getLegendGradient() {
+  var SELF = this, format = getLegendFormat(SELF.options),
+    domain = SELF.colorScale.domain(),
+    min = domain[0], max = domain[domain.length - 1],
+    position = d3.scaleLinear().domain([min, max]).range([0, 100]);
+  return {
+    stops: d3.range(0, 1.0001, 0.1).map(function (t) {
+      return {offset: t * 100, color: SELF.colorScale(min + t * (max - min))};
+    }),
+    ticks: (SELF.colorScale.ticks ? SELF.colorScale.ticks(5) : domain).map(function (v) {
+      return {value: v, position: position(v), label: format(v)};
+    })
+  };
+}
+
+/**
+ * Axis labels of the bivariate legend
+ * @param options
+ * @param fields
+ * @returns {string[]} [x, y]
+ */
+function getBivariateLabels(options, fields) {
+  var labels = options.bivariateLabels || [];
+  return fields.map(function (field, axis) {
+    return labels[axis] != null ? labels[axis] : field;
+  });
+}
+
+/**
+ * Appends swatch and label of a legend item
+ * @param item {value, color, label}
+ */
+function appendLegendItem(item) {
+  var SELF = this, onClick = function (e) {
+    trigger.call(SELF, 'legendclick', e, item);
+  };
+  var swatch = SELF.legend.append('dt')
+    .attr('class', 'choropleth--legend-value' + (item.noData ? ' choropleth--legend-value--nodata' : '')
+      + (item.suppressed ? ' choropleth--legend-value--suppressed' : ''))
+    .on('click', onClick);
+  // Patterns are drawn with CSS gradients
+  if (_patterns.hasOwnProperty(item.color)) {
+    swatch.style('background-image', 'repeating-linear-gradient(45deg, #999 0 1.5px, transparent 1.5px 4px)'
+      + ('crosshatch' === item.color ? ', repeating-linear-gradient(-45deg, #999 0 1.5px, transparent 1.5px 4px)' : ''));
+  }
+  else {
+    swatch.style('background-color', item.color);
+  }
+  SELF.legend.append('dd')
+    .attr('class', 'choropleth--legend-label')
+    .html(item.label)
+    .on('click', onClick);
+}
+
+/**
+ * Renders a gradient bar with ticks for sequential/diverging scales
+ */
+function renderGradientLegend() {
+  var SELF = this, gradient = getLegendGradient.call(SELF),
+    vertical = 'vertical' === SELF.options.legendOrientation;
+
+  SELF.legend.append('dt')
+    .attr('class', 'choropleth--legend-ramp')
+    .style('background-image', 'linear-gradient(' + (vertical ? 'to top' : 'to right') + ', ' + gradient.stops.map(function (stop) {
+      return stop.color + ' ' + stop.offset + '%';
+    }).join(', ') + ')');
+  SELF.legend.append('dd')
+    .attr('class', 'choropleth--legend-ticks')
+    .selectAll('span')
+    .data(gradient.ticks)
+    .enter().append('span')
+    .attr('class', 'choropleth--legend-tick')
+    .style(vertical ? 'bottom' : 'left', function (d) { return d.position + '%'; })
+    .text(function (d) { return d.label; });
+}
+
+/**
+ * Renders square grid of bivariate classes, x increases to the right and y upwards
+ * @param items Legend items of the classes
+ */
+function renderBivariateLegend(items) {
+  var SELF = this, size = SELF.colorScale.size, axes = getBivariateLabels(SELF.options, SELF.colorScale.fields);
+
+  SELF.legend.append('dd')
+    .attr('class', 'choropleth--legend-axis choropleth--legend-axis--y')
+    .text(axes[1] + ' →');
+  SELF.legend.append('dt')
+    .attr('class', 'choropleth--legend-grid')
+    .style('grid-template-columns', 'repeat(' + size + ', 1fr)')
+    .selectAll('span')
+    .data(items.slice().sort(function (a, b) {
+      return Math.floor(b.index / size) - Math.floor(a.index / size) || a.index - b.index;
+    }))
+    .enter().append('span')
+    .attr('class', 'choropleth--legend-cell')
+    .attr('title', function (d) { return d.label; })
+    .style('background-color', function (d) { return d.color; })
+    .on('click', function (e, item) {
+      trigger.call(SELF, 'legendclick', e, item);
+    });
+  SELF.legend.append('dd')
+    .attr('class', 'choropleth--legend-axis choropleth--legend-axis--x')
+    .text(axes[0] + ' →');
+}
+
+/**
+ * Symbols of a layer: value and position of features with a positive value.
+ * Points keep their position, regions get symbols at their centroids.
+ * @param layerName
+ * @returns {Array} [{id, feature, value, x, y}]
+ */
+function getSymbols(layerName) {
+  var SELF = this, field = SELF.options.symbolField;
+  return getFeatures(SELF.options.topography, layerName)
+    .filter(function (d) {
+      return d.properties[field] !== null && Number(d.properties[field]) > 0;
+    })
+    .map(function (d) {
+      var pos = d.geometry && 'Point' === d.geometry.type ? renderPointXY.call(SELF, d) : null,
+        centroid = pos ? [pos.cx, pos.cy] : SELF.path.centroid(d);
+      return {id: d.id, feature: d, value: Number(d.properties[field]), x: centroid[0], y: centroid[1]};
+    })
+    .filter(function (d) {
+      return isFinite(d.x) && isFinite(d.y);
+    });
+}
+
+/**
+ * Moves overlapping symbols apart, while keeping them close to their anchors
+ * @param symbols
+ */
+function collideSymbols(symbols) {
+  symbols.forEach(function (d) {
+    d.anchor = [d.x, d.y];
+  });
+  var simulation = d3.forceSimulation(symbols)
+    .force('x', d3.forceX(function (d) { return d.anchor[0]; }).strength(0.2))
+    .force('y', d3.forceY(function (d) { return d.anchor[1]; }).strength(0.2))
+    .force('collide', d3.forceCollide(function (d) { return d.r + 1; }))
+    .stop();
+  for (var i = 0; i < 120; i++) {
+    simulation.tick();
+  }
+}
+
+/**
+ * Symbol radius, kept constant on screen while zoomed
+ */
+function getSymbolRadius(d) {
+  return d.r / getZoomScale.call(this);
+}
+
+/**
+ * Dot radius, kept constant on screen while zoomed
+ */
+function getDotRadius() {
+  return this.options.dotRadius / getZoomScale.call(this);
+}
+
+/**
+ * Hash of a string, seeds random dot placement
+ * @param str
+ * @returns {number}
+ */
+function hashString(str) {
+  var hash = 5381;
+  for (var i = 0; i < str.length; i++) {
+    hash = ((hash << 5) + hash + str.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash);
+}
+
+/**
+ * Projected rings of a feature
+ * @param feature
+ * @returns {Array} Rings of [x, y] points
+ */
+function getProjectedRings(feature) {
+  var rings = [], ring = null;
+  d3.geoPath(this.projection, {
+    moveTo: function (x, y) {
+      ring = [[x, y]];
+      rings.push(ring);
+    },
+    lineTo: function (x, y) {
+      ring.push([x, y]);
+    },
+    closePath: function () {},
+    arc: function () {}
+  })(feature);
+  return rings;
+}
+
+/**
+ * Random points within a region, seeded by its id so that dots stay in place on redraws
+ * @param feature
+ * @param n Number of dots
+ * @returns {Array} [[x, y]]
+ */
+function scatterDots(feature, n) {
+  var rings = getProjectedRings.call(this, feature), bounds = this.path.bounds(feature),
+    random = d3.randomLcg(hashString(String(feature.id))), dots = [];
+  var contains = function (point) {
+    // Even-odd rule covers holes and multi-polygons
+    var inside = false;
+    rings.forEach(function (ring) {
+      if (d3.polygonContains(ring, point)) {
+        inside = !inside;
+      }
+    });
+    return inside;
+  };
+  for (var attempts = 0; dots.length < n && attempts < n * 100; attempts++) {
+    var point = [
+      bounds[0][0] + random() * (bounds[1][0] - bounds[0][0]),
+      bounds[0][1] + random() * (bounds[1][1] - bounds[0][1])
+    ];
+    if (contains(point)) {
+      dots.push(point);
+    }
+  }
+  return dots;
+}
+
+/**
+ * Renders size legend of symbols and dot value, below the legend
+ */
+function renderOverlayLegend() {
+  var SELF = this, options = SELF.options, format = getLegendFormat(options);
+  if (SELF.overlayLegend) {
+    SELF.overlayLegend.remove();
+    SELF.overlayLegend = null;
+  }
+  var sizes = options.symbolField && options.symbolLegend && SELF.sizeScale,
+    dots = options.dotField && options.dotValue;
+  if (!sizes && !dots) {
+    return;
+  }
+  SELF.overlayLegend = SELF.EL.append('div').attr('class', 'choropleth--overlay-legend');
+
+  if (sizes) {
+    // Largest value and its fractions, rounded to one significant digit
+    var max = SELF.sizeScale.domain()[1], values = [];
+    [max, max / 3, max / 10].forEach(function (v) {
+      var step = Math.pow(10, Math.floor(Math.log(v) / Math.LN10));
+      v = Math.round(v / step) * step;
+      if (v > 0 && values.indexOf(v) === -1) {
+        values.push(v);
+      }
+    });
+    var radius = SELF.sizeScale(values[0]), labelX = 2 * radius + 10,
+      svg = SELF.overlayLegend.append('figure').attr('class', 'choropleth--size-legend');
+    if (typeof options.symbolLegend === 'string') {
+      svg.append('figcaption').text(options.symbolLegend);
+    }
+    svg = svg.append('svg')
+      .attr('width', labelX + 60)
+      .attr('height', 2 * radius + 2);
+    var items = svg.selectAll('g').data(values).enter().append('g');
+    items.append('circle')
+      .attr('cx', radius + 1)
+      .attr('cy', function (d) { return 2 * radius + 1 - SELF.sizeScale(d); })
+      .attr('r', function (d) { return SELF.sizeScale(d); });
+    items.append('line')
+      .attr('x1', radius + 1)
+      .attr('x2', labelX)
+      .attr('y1', function (d) { return 2 * radius + 1 - 2 * SELF.sizeScale(d); })
+      .attr('y2', function (d) { return 2 * radius + 1 - 2 * SELF.sizeScale(d); });
+    items.append('text')
+      .attr('x', labelX + 4)
+      .attr('y', function (d) { return 2 * radius + 1 - 2 * SELF.sizeScale(d); })
+      .attr('dy', '0.35em')
+      .text(function (d) { return format(d); });
+  }
+
+  if (dots) {
+    var key = SELF.overlayLegend.append('p').attr('class', 'choropleth--dot-legend');
+    key.append('svg')
+      .attr('width', 2 * options.dotRadius + 2)
+      .attr('height', 2 * options.dotRadius + 2)
+      .append('circle')
+      .attr('cx', options.dotRadius + 1)
+      .attr('cy', options.dotRadius + 1)
+      .attr('r', options.dotRadius)
+      .style('fill', options.dotFill);
+    key.append('span').text(' = ' + format(options.dotValue));
+  }
+}
+
+/**
+ * Escapes text for use in SVG/XML markup
+ * @param str
+ * @returns {string}
+ */
+function escapeXML(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Renders legend as SVG markup, for exports
+ * @param x Left of the legend
+ * @param y Top of the legend
+ * @param width Available width, swatches wrap to next row
+ * @returns {{markup: string, height: number}}
+ */
+function renderLegendSVG(x, y, width) {
+  var SELF = this, type = getLegendType(SELF.colorScale, SELF.options), markup = [], height = 0,
+    title = getLegendTitle.call(SELF), titleHeight = title ? 20 : 0;
+  if (title) {
+    markup.push('<text x="' + x + '" y="' + (y + 12) + '" font-weight="bold">' + escapeXML(title) + '</text>');
+    y += titleHeight;
+  }
+
+  if ('gradient' === type) {
+    var gradient = getLegendGradient.call(SELF), id = 'choropleth--gradient-' + (SELF.uid || 0),
+      barWidth = Math.min(width, 300);
+    markup.push('<defs><linearGradient id="' + id + '">' + gradient.stops.map(function (stop) {
+      return '<stop offset="' + stop.offset + '%" stop-color="' + stop.color + '"/>';
+    }).join('') + '</linearGradient></defs>');
+    markup.push('<rect x="' + x + '" y="' + y + '" width="' + barWidth + '" height="12" fill="url(#' + id + ')"/>');
+    gradient.ticks.forEach(function (tick) {
+      markup.push('<text x="' + (x + tick.position / 100 * barWidth) + '" y="' + (y + 28)
+        + '" text-anchor="middle">' + escapeXML(tick.label) + '</text>');
+    });
+    height = 40;
+  }
+
+  var items = getLegendItems.call(SELF, type);
+  if ('bivariate' === type) {
+    // Grid with the y axis label on the left and the x axis label below
+    var size = SELF.colorScale.size, cell = 16, axes = getBivariateLabels(SELF.options, SELF.colorScale.fields),
+      gridX = x + 20;
+    items.filter(function (item) { return !item.noData; }).forEach(function (item) {
+      markup.push('<rect x="' + (gridX + (item.index % size) * cell) + '" y="' + (y + (size - 1 - Math.floor(item.index / size)) * cell)
+        + '" width="' + cell + '" height="' + cell + '" fill="' + item.color + '"/>');
+    });
+    markup.push('<text transform="translate(' + (x + 12) + ',' + (y + size * cell) + ') rotate(-90)">' + escapeXML(axes[1] + ' →') + '</text>');
+    markup.push('<text x="' + gridX + '" y="' + (y + size * cell + 16) + '">' + escapeXML(axes[0] + ' →') + '</text>');
+    items = items.filter(function (item) { return item.noData; });
+    height = size * cell + 28;
+  }
+
+  // Swatches, label width is estimated as there is no layout to measure text with
+  var left = x, top = y + height, rowHeight = 22;
+  items.forEach(function (item) {
+    var label = String(item.label).replace(/<[^>]*>/g, ''),
+      itemWidth = 16 + 6 + label.length * 7 + 16;
+    if (left > x && left + itemWidth > x + width) {
+      left = x;
+      top += rowHeight;
+    }
+    markup.push('<rect x="' + left + '" y="' + top + '" width="16" height="16" fill="' + (getPatternFill.call(SELF, item.color) || _noDataFill) + '"/>');
+    markup.push('<text x="' + (left + 22) + '" y="' + (top + 12.5) + '">' + escapeXML(label) + '</text>');
+    left += itemWidth;
+  });
+  if (items.length) {
+    height = top - y + rowHeight;
+  }
+
+  return {
+    markup: '<g class="choropleth--legend" font-family="sans-serif" font-size="12">' + markup.join('') + '</g>',
+    height: height + titleHeight
+  };
+}
+
+/**
+ * Copies computed styles of source SVG elements onto their clones,
+ * so exported SVG does not depend on page stylesheets
+ * @param source
+ * @param target Deep clone of the source
+ */
+function inlineStyles(source, target) {
+  var sources = [source].concat(Array.prototype.slice.call(source.querySelectorAll('*'))),
+    targets = [target].concat(Array.prototype.slice.call(target.querySelectorAll('*')));
+  sources.forEach(function (node, idx) {
+    var computed = window.getComputedStyle(node);
+    _exportStyles.forEach(function (prop) {
+      var value = computed.getPropertyValue(prop);
+      if (value) {
+        targets[idx].style.setProperty(prop, value);
+      }
+    });
+  });
+}
+
+/**
+ * Renders a map to SVG string without DOM, e.g. on a server in Node.
+ * Takes the same options as Choropleth, except that topography has to be
+ * a TopoJSON/GeoJSON object and data an array of rows.
+ * @param options
+ * @returns {string} SVG markup with legend
+ */
+function renderSVG(options) {
+  options = applyDefaults(options || {}, {width: 960, height: 600}, defaults);
+  if (!options.topography || typeof options.topography !== 'object') {
+    message('topography object is required for rendering to string', 'error');
+  }
+
+  var context = {options: options, uid: 0}, layer = options.topographyGranularity;
+  if (options.fit === null) {
+    options.fit = isFittedProjection(options.projection);
+  }
+  if (options.preProjected) {
+    options.projection = 'identity';
+    context.sourceProjection = d3.geoAlbersUsa().scale(_albers.scale).translate(_albers.translate);
+  }
+  context.projection = getProjection(options.projection, options.insets);
+  context.topography = addGroups.call(context, mergeDeep(toTopology(options.topography, layer), options.topologyAdditions));
+  // Rows of timePeriod, classified across periods with fixed timeScale
+  joinData.call(context, initSeries.call(context, getRows(options.data, options.row, options.timeField)));
+  fitProjection.call(context);
+  context.path = d3.geoPath().projection(context.projection);
+
+  var features = getFeatures(options.topography, layer),
+    legend = options.legend ? renderLegendSVG.call(context, 10, options.height + 10, options.width - 20) : null,
+    height = options.height + (legend && legend.height ? legend.height + 20 : 0),
+    markup = [];
+
+  // Reference layers, those to be loaded from a url are left out
+  var extras = (options.extraLayers || []).map(getLayerDefinition).filter(function (extra) {
+    if (typeof extra.data === 'string') {
+      message('layer ' + extra.name + ' is loaded from url, it is not rendered to string', 'warning');
+      return false;
+    }
+    return extra.visible;
+  }).sort(function (a, b) {
+    return a.zIndex - b.zIndex;
+  });
+  var renderExtra = function (extra) {
+    loadLayer.call(context, extra, function (err, topology) {
+      if (err || !topology.objects.hasOwnProperty(extra.name)) {
+        message(err ? err.message : 'layer ' + extra.name + ' is not in the topology', 'warning');
+        return;
+      }
+      var style = Object.keys(extra.style || {}).map(function (prop) {
+        return prop + ':' + extra.style[prop];
+      }).join(';');
+      markup.push('<g class="layer layer--extra layer--' + escapeXML(extra.name) + '" fill="none" stroke="#555" stroke-width="1"'
+        + (style ? ' style="' + escapeXML(style) + '"' : '') + '>');
+      getLayerShapes(extra, topology).forEach(function (shape) {
+        var d = context.path(shape);
+        if (d) {
+          markup.push('<path d="' + d + '"/>');
+        }
+      });
+      markup.push('</g>');
+    });
   };
 
-  var _path = '/', _topo = {
-    'world': {
-      world: {file: 'world.json', data: null},
-      countries: {file: 'countries.json', data: null}
-    },
-    'us-atlas': {
-      nation: {file: 'nation-10m.json', data: null},
-      states: {file: 'states-10m.json', data: null},
-      counties: {file: 'counties-10m.json', data: null}
-    }
-  };
+  extras.filter(function (extra) { return extra.zIndex < 0; }).forEach(renderExtra);
+  markup.push('<g class="layer layer--data layer--' + escapeXML(layer) + '" stroke="white" stroke-width="2">');
+  var hidden = [];
+  features.forEach(function (d) {
+    var shape = context.path(d);
+    if (shape) {
+      markup.push('<path d="' + shape + '" class="' + escapeXML(applyUnitClasses.call(context, d, layer))
+        + '" fill="' + (getUnitFill.call(context, d) || _noDataFill) + '"/>');
+    }
+    else if (hasData.call(context, d)) {
+      hidden.push(getUnitKey(d));
+    }
+  });
+  markup.push('</g>');
+  reportHiddenRegions.call(context, hidden, layer);
+  extras.filter(function (extra) { return extra.zIndex >= 0; }).forEach(renderExtra);
+
+  var frames = getInsetFrames.call(context);
+  if (frames.length) {
+    markup.push('<g class="layer layer--insets" fill="none" stroke="#999" stroke-width="1">');
+    frames.forEach(function (inset) {
+      markup.push('<path class="inset-frame inset-frame--' + inset.name + '" d="' + getInsetFramePath(inset) + '"/>');
+    });
+    markup.push('</g>');
+  }
+
+  if (options.labels) {
+    markup.push('<g class="layer layer--labels" fill="black" text-anchor="middle" font-family="sans-serif" font-size="' + _labelFontSize + '">');
+    layoutLabels.call(context, features, function (label) {
+      return measureLabel(null, label.text);
+    }).forEach(function (label) {
+      if (label.hidden) {
+        return;
+      }
+      if (label.callout) {
+        markup.push('<line class="label-leader" x1="' + label.anchor[0] + '" y1="' + label.anchor[1] + '" x2="' + getLeaderEnd.call(context, label)
+          + '" y2="' + label.y + '" stroke="#666" stroke-width="1"/>');
+      }
+      markup.push('<text class="label' + (label.callout ? ' label--callout' : '') + '" transform="' + getLabelTransform.call(context, label) + '" dy="0.35em"'
+        + (label.callout ? ' text-anchor="start"' : '') + '>' + escapeXML(label.text) + '</text>');
+    });
+    markup.push('</g>');
+  }
+
+  if (legend) {
+    markup.push(legend.markup);
+  }
+
+  return '<svg xmlns="' + _svgNS + '" width="' + options.width + '" height="' + height
+    + '" viewBox="0 0 ' + options.width + ' ' + height + '" role="img">'
+    + '<title>' + escapeXML(options.title) + '</title>'
+    + '<desc>' + escapeXML(options.description || getDescription.call(context)) + '</desc>'
+    + '<defs>' + getPatternsMarkup.call(context) + '</defs>'
+    + markup.join('') + '</svg>';
+}
+
+/**
+ * Converts HTML to plain text, line breaks and paragraphs become commas
+ * @param html HTML string or DOM node
+ * @returns {string}
+ */
+function htmlToText(html) {
+  var node = document.createElement('div');
+  if (typeof html === 'string') {
+    node.innerHTML = html.replace(/<br\s*\/?>|<\/(p|div|li|tr)>/gi, ', ');
+  }
+  else {
+    node.appendChild(html.cloneNode(true));
+  }
+  return node.textContent.replace(/\s+/g, ' ').replace(/^[\s,]+|[\s,]+$/g, '');
+}
+
+/**
+ * Accessible name of a region, the tooltip text for regions with data
+ * @param d Feature
+ * @returns {string}
+ */
+function getRegionLabel(d) {
+  if (hasData.call(this, d)) {
+    return htmlToText(getTooltipContent.call(this, d));
+  }
+  return (d.properties.name || String(d.id)) + ', ' + getNoDataLabel.call(this, getValueStatus.call(this, d)).toLowerCase();
+}
+
+/**
+ * Makes regions of the layer keyboard accessible. Only one region is in tab
+ * order, arrow keys move focus to the nearest region in that direction.
+ * @param units Region selection
+ */
+function initKeyboard(units) {
+  var SELF = this;
+  units
+    .attr('role', 'button')
+    .attr('aria-label', getRegionLabel.bind(SELF))
+    .attr('tabindex', -1)
+    .on('focus.keyboard', function (e, obj) {
+      SELF.focusedRegion = String(obj.id);
+      showTooltip.call(SELF, this, obj);
+    })
+    .on('blur.keyboard', function (e, obj) {
+      hideTooltip.call(SELF, this, obj);
+    })
+    .on('keydown.keyboard', function (e, obj) {
+      onRegionKeydown.call(SELF, e, this, obj);
+    });
+
+  var focused = units.filter(function (d) { return String(d.id) === SELF.focusedRegion; });
+  (focused.empty() ? d3.select(getKeyboardOrder(units)[0]) : focused).attr('tabindex', 0);
+}
+
+/**
+ * Regions in order of Home/End keys, by accessible name
+ * @param units
+ * @returns {Array} nodes
+ */
+function getKeyboardOrder(units) {
+  return units.nodes().sort(function (a, b) {
+    return d3.ascending(a.getAttribute('aria-label'), b.getAttribute('aria-label'));
+  });
+}
+
+/**
+ * Moves focus between regions and activates them
+ * @param e Keyboard event
+ * @param node Focused region
+ * @param obj Feature
+ */
+function onRegionKeydown(e, node, obj) {
+  var SELF = this, units = d3.select(node.parentNode).selectAll(node.tagName), target = null;
+  switch (e.key) {
+    case 'ArrowLeft':
+    case 'ArrowRight':
+    case 'ArrowUp':
+    case 'ArrowDown':
+      target = getNearestRegion.call(SELF, units, obj, e.key.slice(5).toLowerCase());
+      break;
+    case 'Home':
+      target = getKeyboardOrder(units)[0];
+      break;
+    case 'End':
+      target = getKeyboardOrder(units).pop();
+      break;
+    case 'Enter':
+    case ' ':
+      e.preventDefault();
+      node.dispatchEvent(new MouseEvent('click', {bubbles: true}));
+      // Selected regions are moved to front, which takes the focus away
+      if (node.isConnected && document.activeElement !== node) {
+        node.focus();
+      }
+      return;
+    case 'Escape':
+      hideTooltip.call(SELF, node, obj);
+      return;
+    default:
+      return;
+  }
+  e.preventDefault();
+  if (target && target !== node) {
+    units.attr('tabindex', -1);
+    d3.select(target).attr('tabindex', 0);
+    target.focus();
+  }
+}
+
+/**
+ * Finds the closest region in a direction, by centroids.
+ * Regions off the axis of movement count as further away.
+ * @param units
+ * @param from Feature
+ * @param direction left, right, up or down
+ * @returns {*} node
+ */
+function getNearestRegion(units, from, direction) {
+  var SELF = this, origin = SELF.path.centroid(from), best = null, bestScore = Infinity,
+    horizontal = 'left' === direction || 'right' === direction,
+    sign = 'left' === direction || 'up' === direction ? -1 : 1;
+  units.each(function (d) {
+    var c = SELF.path.centroid(d),
+      along = (horizontal ? c[0] - origin[0] : c[1] - origin[1]) * sign,
+      across = Math.abs(horizontal ? c[1] - origin[1] : c[0] - origin[0]);
+    if (d === from || !(along > 0)) {
+      return;
+    }
+    var score = along + 2 * across;
+    if (score < bestScore) {
+      bestScore = score;
+      best = this;
+    }
+  });
+  return best;
+}
+
+/**
+ * Shows tooltip of a region, next to the pointer or over focused region
+ * @param node Region
+ * @param obj Feature
+ * @param e Mouse event, if any
+ */
+function showTooltip(node, obj, e) {
+  var SELF = this;
+  if (!SELF.options.tooltip || !SELF.tooltip || !hasTooltip.call(SELF, obj)) {
+    return;
+  }
+  var coords;
+  if (e) {
+    coords = getRelativeCoordinates.call(SELF, e);
+  }
+  else {
+    var box = node.getBoundingClientRect(), container = SELF.EL.node().getBoundingClientRect();
+    coords = {x: box.left - container.left + box.width / 2, y: box.top - container.top + box.height / 2};
+  }
+  d3.select(node).transition()
+    .duration(100)
+    .style('opacity', '0.7');
+
+  var content = getTooltipContent.call(SELF, obj);
+  if (typeof content === 'string') {
+    SELF.tooltip.html(content);
+  }
+  else {
+    SELF.tooltip.html('');
+    SELF.tooltip.node().appendChild(content);
+  }
+  SELF.tooltip.style('display', 'block');
+  positionTooltip.call(SELF, coords);
+}
+
+/**
+ * Whether the region has a tooltip: regions without values only with noDataTemplate
+ * @param obj Feature
+ * @returns {boolean}
+ */
+function hasTooltip(obj) {
+  return hasData.call(this, obj) || !!this.options.noDataTemplate;
+}
+
+/**
+ * Tooltip content of a region, noDataTemplate is used for regions without values
+ * and gets the label of their kind as noData property
+ * @param obj Feature
+ * @returns {string|Node} HTML or DOM node
+ */
+function getTooltipContent(obj) {
+  var tpl = this.options.tooltipTemplate, properties = obj.properties;
+  if (!hasData.call(this, obj)) {
+    tpl = this.options.noDataTemplate;
+    properties = Object.assign({}, properties, {noData: getNoDataLabel.call(this, getValueStatus.call(this, obj))});
+  }
+  if (typeof tpl === 'function') {
+    return tpl.call(this, properties, obj, getDataRow.call(this, obj));
+  }
+  return renderTemplate(tpl, properties);
+}
+
+/**
+ * Legend label of the kind of missing data
+ * @param status See getValueStatus
+ * @returns {string}
+ */
+function getNoDataLabel(status) {
+  var options = this.options;
+  if ('suppressed' === status) {
+    return typeof options.legendSuppressed === 'string' ? options.legendSuppressed : 'Suppressed';
+  }
+  return typeof options.legendNoData === 'string' ? options.legendNoData : 'No data';
+}
+
+/**
+ * Places tooltip next to a point of the map container, on the other side
+ * of the point where it would overflow the viewport
+ * @param coords {x, y} relative to the map container
+ */
+function positionTooltip(coords) {
+  var SELF = this, node = SELF.tooltip.node(), offset = SELF.options.tooltipOffset,
+    container = SELF.EL.node().getBoundingClientRect(),
+    viewport = document.documentElement,
+    x = coords.x + offset,
+    y = coords.y + offset;
+  if (container.left + x + node.offsetWidth > viewport.clientWidth) {
+    x = coords.x - offset - node.offsetWidth;
+  }
+  if (container.top + y + node.offsetHeight > viewport.clientHeight) {
+    y = coords.y - offset - node.offsetHeight;
+  }
+  SELF.tooltip
+    .style('left', Math.max(x, -container.left) + 'px')
+    .style('top', Math.max(y, -container.top) + 'px');
+}
+
+/**
+ * Hides tooltip of a region
+ * @param node Region
+ * @param obj Feature
+ */
+function hideTooltip(node, obj) {
+  var SELF = this;
+  if (!SELF.options.tooltip || !SELF.tooltip || !hasTooltip.call(SELF, obj)) {
+    return;
+  }
+  d3.select(node).transition()
+    .duration(100)
+    .style('opacity', '1');
+  SELF.tooltip.style('display', 'none');
+}
 
-  var subscribers = {};
+/**
+ * Summary of the data for screen readers, used when there is no description
+ * @returns {string}
+ */
+function getDescription() {
+  var SELF = this, fields = getValueFields.call(SELF), report = SELF.joinReport,
+    format = getLegendFormat(SELF.options),
+    names = SELF.colorScale && SELF.colorScale.fields ? getBivariateLabels(SELF.options, fields) : ['values'];
+  var ranges = fields.map(function (field, idx) {
+    var values = getSortedValues(SELF.data, field);
+    return values.length ? names[idx] + ' range from ' + format(values[0]) + ' to ' + format(values[values.length - 1]) : null;
+  });
+  if (null === ranges[0]) {
+    return 'No data.';
+  }
+  return (report ? report.matched + ' regions with data' : getSortedValues(SELF.data, fields[0]).length + ' values')
+    + ', ' + ranges.filter(Boolean).join(', ') + '.';
+}
 
+/**
+ * Renders SVG title and description and the data table
+ */
+function renderDescription() {
+  var SELF = this, id = 'choropleth-' + SELF.uid;
 
-  // --------------- Private methods -------------------------//
+  SELF.SVG.selectAll('title.choropleth--title, desc.choropleth--desc').remove();
+  SELF.SVG.insert('desc', ':first-child')
+    .attr('class', 'choropleth--desc')
+    .attr('id', id + '-desc')
+    .text(SELF.options.description || getDescription.call(SELF));
+  SELF.SVG.insert('title', ':first-child')
+    .attr('class', 'choropleth--title')
+    .attr('id', id + '-title')
+    .text(SELF.options.title);
+  SELF.SVG
+    .attr('role', 'group')
+    .attr('aria-labelledby', id + '-title')
+    .attr('aria-describedby', id + '-desc');
 
-  function applyUnitClasses(unit, layerName) {
-    var classes = [layerName, layerName + '--name-' + unit.properties.name.toLowerCase().replace(" ", "_")];
-    if (unit.properties.hasOwnProperty('value')) {
-      classes.push(layerName + '--value');
-      classes.push(layerName + '--value-' + unit.properties.value);
-    }
-    return classes.join(' ');
+  if (SELF.options.dataTable) {
+    renderDataTable.call(SELF);
   }
+}
 
-  function transformPointReversed(topology, position) {
-    position = position.slice();
-    position[0] = (position[0] - topology.transform.translate[0])
-      /(topology.transform.scale[0]);
-    position[1] = (position[1] - topology.transform.translate[1])
-      /(topology.transform.scale[1]);
-    return position;
+/**
+ * Renders visually hidden table of region values, alternative to the map
+ */
+function renderDataTable() {
+  var SELF = this, fields = getValueFields.call(SELF),
+    columns = SELF.colorScale && SELF.colorScale.fields ? getBivariateLabels(SELF.options, fields) : ['Value'];
+  if (!SELF.dataTable) {
+    SELF.dataTable = SELF.EL.append('table').attr('class', 'choropleth--data-table choropleth--sr-only');
   }
+  SELF.dataTable.selectAll('*').remove();
+  SELF.dataTable.append('caption').text(SELF.options.title);
+  SELF.dataTable.append('thead').append('tr')
+    .selectAll('th')
+    .data(['Region'].concat(columns))
+    .enter()
+    .append('th')
+    .attr('scope', 'col')
+    .text(function (d) { return d; });
 
-  /**
-   * Unit render callback - path
-   */
-  function renderPath(layer, layerName, layerData) {
-    var SELF = this;
+  var features = getFeatures(SELF.options.topography, SELF.options.topographyGranularity)
+    .filter(hasData.bind(SELF))
+    .sort(function (a, b) {
+      return d3.ascending(String(a.properties.name || a.id), String(b.properties.name || b.id));
+    });
+  var rows = SELF.dataTable.append('tbody')
+    .selectAll('tr')
+    .data(features)
+    .enter()
+    .append('tr');
+  rows.append('th')
+    .attr('scope', 'row')
+    .text(function (d) { return d.properties.name || d.id; });
+  fields.forEach(function (field) {
+    rows.append('td')
+      .text(function (d) { return d.properties[field]; });
+  });
+}
 
-    return layer.selectAll('path')
-      .data(layerData)
-      .enter().append('path')
-      .attr('d', SELF.path)
-      .attr('class', function (d) { return applyUnitClasses(d, layerName)})
-      .style("fill", function (d) {
-        return (d.properties.hasOwnProperty('value')) ? SELF.colorScale(d.properties.value) : null;
-      });
-  }
+/**
+ * Simulates how a color is seen with a color vision deficiency
+ * @param color
+ * @param matrix See _cvd
+ * @returns {*} d3 rgb color
+ */
+function simulateCVD(color, matrix) {
+  var rgb = d3.rgb(color), linear = [rgb.r, rgb.g, rgb.b].map(function (c) {
+    c /= 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  });
+  var simulated = matrix.map(function (row) {
+    var c = Math.min(1, Math.max(0, row[0] * linear[0] + row[1] * linear[1] + row[2] * linear[2]));
+    return 255 * (c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055);
+  });
+  return d3.rgb(simulated[0], simulated[1], simulated[2]);
+}
 
-  /**
-   * Unit render callback - point
-   */
-  function renderPoint(layer, layerName, layerData) {
-    var SELF = this;
-
-    return layer.selectAll('circle')
-      .data(layerData)
-      .enter().append('circle')
-      .attr('r', function (d) {
-        return '8px';
-      })
-      .attrs(function (d) {
-        return renderPointXY.call(SELF, d)
-      })
-      .style("fill", function (d) {
-        return (d.properties.hasOwnProperty('value')) ? SELF.colorScale(d.properties.value) : null;
-      });
+/**
+ * Checks that colors can be told apart with common color vision deficiencies
+ * @param colors
+ * @returns {Array} Pairs too similar: [{deficiency, colors}]
+ */
+function checkPalette(colors) {
+  var issues = [];
+  Object.keys(_cvd).forEach(function (deficiency) {
+    var simulated = colors.map(function (color) {
+      return d3.lab(simulateCVD(color, _cvd[deficiency]));
+    });
+    for (var i = 0; i < simulated.length; i++) {
+      for (var j = i + 1; j < simulated.length; j++) {
+        var a = simulated[i], b = simulated[j];
+        if (Math.sqrt(Math.pow(a.l - b.l, 2) + Math.pow(a.a - b.a, 2) + Math.pow(a.b - b.b, 2)) < _minColorDistance) {
+          issues.push({deficiency: deficiency, colors: [colors[i], colors[j]]});
+        }
+      }
+    }
+  });
+  return issues;
+}
+
+/**
+ * Renders a template.
+ * Substitutes tokens with values from supplied data object:
+ *  [[token]]             HTML escaped value
+ *  [[token|.1%]]         number formatted with d3-format specifier
+ *  [[token|,d|n/a]]      default for missing values, format may be left empty: [[token||n/a]]
+ *  [[&token]]            value as is, for HTML
+ *  [[#token]]..[[/token]] section rendered when value is present
+ *  [[^token]]..[[/token]] section rendered when value is missing
+ *
+ * @param tpl Template string
+ * @param data Object with token:value pairs
+ * @param plain Values are not escaped, for plain text such as SVG labels
+ * @returns {*} Rendered string
+ */
+function renderTemplate(tpl, data, plain) {
+  data = data || {};
+  var hasValue = function (key) {
+    var value = data[key];
+    return data.hasOwnProperty(key) && value !== null && value !== undefined && value !== ''
+      && !(typeof value === 'number' && isNaN(value));
+  };
+
+  // Sections, repeated for nested ones
+  var rendered = String(tpl), previous;
+  do {
+    previous = rendered;
+    rendered = rendered.replace(/\[\[([#^])([\w-]+)]]([\s\S]*?)\[\[\/\2]]/g, function (match, type, key, inner) {
+      return ('#' === type) === hasValue(key) ? inner : '';
+    });
+  } while (rendered !== previous);
+
+  return rendered.replace(/\[\[(&?)([\w-]+)(?:\|([^|\]]*))?(?:\|([^\]]*))?]]/g, function (match, raw, key, format, fallback) {
+    if (!hasValue(key)) {
+      return fallback || '';
+    }
+    var value = data[key];
+    if (format && value !== '' && !isNaN(value)) {
+      try {
+        value = d3.format(format)(Number(value));
+      }
+      catch (e) {
+        message('invalid format ' + format + ' of ' + key, 'warning');
+      }
+    }
+    return raw || plain ? String(value) : escapeXML(value);
+  });
+}
+
+/**
+ * Choropleth class
+ */
+function Choropleth(options) {
+
+  var SELF = this;
+  this.uid = ++_uid;
+  this.subscribers = {};
+  this.selection = {};
+
+  // D3 extensions
+  extendD3();
+
+  // Preprocess options
+  options = options || {};
+  this.options = applyDefaults(options, defaults);
+
+  // Init svg
+  if (!this.options.element || d3.select(this.options.element).empty()) {
+    message('element does not exists', 'error');
   }
+  this.EL = d3.select(this.options.element)
+  _instances.push(this);
 
-  function renderPointXY(d) {
-    var SELF = this;
-    var
-      c = d.geometry.coordinates,
-      pos = SELF.projection(typeof d.latlong !== undefined ? transformPointReversed(SELF.options.topography, c) : c);
-    return pos ? {'cx': pos[0], 'cy': pos[1]} : null;
+  this.SVG = this.EL.select('svg');
+  if (this.SVG.empty()) {
+    this.SVG = d3.select(this.options.element).append('svg');
   }
+  // All layers go into the viewport, so they can be zoomed together
+  this.VIEWPORT = this.SVG.append('g').attr('class', 'choropleth--viewport');
+  renderPatterns.call(this);
 
-  function isObject(item) {
-    return (item && typeof item === 'object' && !Array.isArray(item));
+  // Calculate sizes
+  if (this.options.aspectRatio) {
+    this.EL
+      .classed('choropleth--proportional', true)
+      .select('.choropleth--wrapper')
+      .style('padding-bottom', (this.options.aspectRatio * 100) + '%');
   }
+  this.options.width = this.getSVGWrapper().getBoundingClientRect().width;
+  this.options.height = this.getSVGWrapper().getBoundingClientRect().height;
+  this.options.aspectRatio = this.options.aspectRatio || this.options.height / this.options.width;
+  this.SVG
+    .attr('width', this.options.width)
+    .attr('height', this.options.height)
+    .style('overflow', 'hidden');
 
-  function mergeDeep(target, source) {
-    let output = Object.assign({}, target);
-    if (isObject(target) && isObject(source)) {
-      Object.keys(source).forEach(key => {
-        if (isObject(source[key])) {
-          if (!(key in target))
-            Object.assign(output, { [key]: source[key] });
-          else
-            output[key] = mergeDeep(target[key], source[key]);
-        } else {
-          Object.assign(output, { [key]: source[key] });
-        }
-      });
+  // Set projection, path and color scheme
+  if (this.options.fit === null) {
+    this.options.fit = isFittedProjection(this.options.projection);
+  }
+  // Pre-projected topologies only need scaling to the map size
+  if (this.options.preProjected) {
+    if (typeof this.options.topography === 'string' && _topo.hasOwnProperty(this.options.topography + '-albers')) {
+      this.options.topography += '-albers';
     }
-    return output;
+    this.options.projection = 'identity';
+    this.sourceProjection = d3.geoAlbersUsa().scale(_albers.scale).translate(_albers.translate);
+  }
+  this.projection = getProjection(this.options.projection, this.options.insets);
+  fitProjection.call(SELF);
+  this.path = d3.geoPath().projection(this.projection);
+
+  // add resizing
+  initResize.call(SELF);
+
+  if (this.options.zoom) {
+    initZoom.call(SELF);
   }
 
+  // Save the above into options for reference
+  this.options.projection = this.projection;
+  this.options.path = this.path;
+
+  // Name of the topology set, topography option is replaced with loaded objects later
+  this.topographyName = this.options.topography;
+  this.drillPath = [{level: this.options.topographyGranularity, id: null, name: this.options.drillDownRootLabel}];
+
+  // Pull topography and render the map.
+  // ... when strings are supplied, we assume we need to load/provide topography
+  var loaded = getTopography.call(SELF, this.options.topography,
+    this.options.groups ? this.options.groupsSource : this.options.topographyGranularity);
+
+  // Wait for data to be loaded, ready promise resolves once the map is rendered
+  trackLoading.call(SELF, function (done) {
+    loaded.await(function (err, data, topography) {
+      if (err || SELF.destroyed) {
+        done(err);
+        return;
+      }
+      // Misconfigured options throw while rendering, they fail the ready promise
+      try {
+        // keep source topography for later data updates,
+        // and replace topography option with loaded objects
+        SELF.topography = addGroups.call(SELF, mergeDeep(topography, SELF.options.topologyAdditions));
+        // Rows of setData() loaded before the map got rendered replace the initial ones
+        joinData.call(SELF, SELF.data !== undefined ? SELF.data : initSeries.call(SELF, data));
+        fitProjection.call(SELF);
+        _render();
+      }
+      catch (e) {
+        done(e);
+        return;
+      }
+      done(null);
+    });
+  });
+
   /**
-   * Computes mouse event coordinates relative to the choropleth container
-   * @param event
-   * @returns {{x: number, y: number}}
+   * Renders entire map.
+   * This method is called from constructor
+   * For updating map or rendering specific layer use proto methods
    */
-  function getRelativeCoordinates(event) {
-    return {
-      x: event.pageX,
-      y: event.pageY
+  function _render() {
+    message('rendering...');
+    // render data layer
+    SELF.drawDataLayer();
+    SELF.drawDataLayer('zones');
+    renderInsetFrames.call(SELF);
+    // render reference layers
+    (SELF.options.extraLayers || []).forEach(function (layer) {
+      SELF.drawLayer(layer);
+    });
+    // render labels
+    if (SELF.options.labels) {
+      SELF.drawLabels();
+    }
+    // render tooltips ()
+    if (SELF.options.tooltip) {
+      // Positioned within the map container, regions are labelled with the tooltip text already
+      if (!/^(relative|absolute|fixed|sticky)$/.test(window.getComputedStyle(SELF.EL.node()).position)) {
+        // Inline style of the container is put back on destroy
+        SELF.containerPosition = SELF.EL.node().style.position;
+        SELF.EL.style('position', 'relative');
+      }
+      SELF.tooltip = SELF.EL.append('div').attr('class', 'choropleth--tooltip').attr('aria-hidden', 'true');
     }
+    // render callouts
+    // render legend
+    if (SELF.options.legend) {
+      SELF.legend = SELF.EL.append('dl').attr('class', 'choropleth--legend');
+      SELF.updateLegend();
+    }
+    // render time series controls, before the legend
+    renderTimeControls.call(SELF);
+    // render overlays, their legend follows the legend
+    SELF.drawDots();
+    SELF.drawSymbols();
+    renderDescription.call(SELF);
+    // render drill down breadcrumb
+    renderBreadcrumb.call(SELF);
+    trigger.call(SELF, 'render');
   }
+}
 
-  function calcCenterPoint(width, height) {
-    return [
-      (width ? width : this.options.width) * this.options.center.x,
-      (height ? height : this.options.height) * this.options.center.y,
-    ]
-  }
+// Proxy to logging
+Choropleth.prototype.log = message;
 
-  /**
-   * Filters by property and value
-   *
-   * @param prop
-   * @param value
-   * @param obj
-   * @returns {boolean}
-   */
-  function filterByProperty(prop, value, obj) {
-    if (null !== value) {
-      return obj.properties.hasOwnProperty(prop) && value === obj.properties[prop];
+/**
+ * Toggles selection of regions
+ * @param regions Id, array of ids or predicate function(feature, row)
+ * @param status Optional, switches selection on or off instead of toggling
+ * @returns {Choropleth}
+ */
+Choropleth.prototype.toggleRegion = function(regions, status) {
+  var SELF = this, changed = false, single = 'single' === SELF.options.selectionMode,
+    units = getRegionUnits.call(SELF, regions);
+
+  units.each(function (d, idx) {
+    var key = String(d.id), selected = typeof status === 'undefined' ? !SELF.selection[key] : !!status;
+    // Only one region can be selected in single mode
+    if (selected && single && idx > 0) {
+      return;
+    }
+    if (selected && single) {
+      changed = Object.keys(SELF.selection).some(function (k) { return k !== key; }) || changed;
+      SELF.selection = {};
+    }
+    if (selected !== !!SELF.selection[key]) {
+      changed = true;
+    }
+    if (selected) {
+      SELF.selection[key] = true;
     }
     else {
-      return obj.properties.hasOwnProperty(prop);
+      delete SELF.selection[key];
     }
-  }
+  });
 
-  function getFileTypeFromPath(filepath) {
-    return filepath.split('\\').pop().split('/').pop().split('.').pop();
+  applySelection.call(SELF);
+  if (changed) {
+    trigger.call(SELF, 'selectionchange', SELF.getSelection());
   }
+  return this;
+}
 
-  /**
-   * Fetches specified Topology data
-   * @param name
-   * @param layer
-   * @returns {null|*}
-   */
-  function getTopography(name, layer) {
-    var SELF = this;
-    return d3.queue().defer(function (cb) {
-        // If we already have map data loaded, just return it.
-        if (typeof SELF.options.data === 'object') {
-          cb(null, SELF.options.data);
-        }
+/**
+ * Selects regions
+ * @param regions Id, array of ids or predicate function(feature, row)
+ * @returns {Choropleth}
+ */
+Choropleth.prototype.select = function (regions) {
+  return this.toggleRegion(regions, true);
+}
 
-        // If given a file path to the map data, load it
-        if (typeof SELF.options.data === 'string') {
-          // can be either a json file or csv
-          var filetype = getFileTypeFromPath(SELF.options.data);
-          if (filetype === 'json' || filetype === 'csv') {
-            d3[filetype](SELF.options.data)
-            .then(function(file) {
-              cb(null, file);
-            });
-          }
-        }
-      }).defer(function (cb) {
-        // When either set or layer is not defined
-        if (!_topo.hasOwnProperty(name) || !_topo[name].hasOwnProperty(layer)) {
-          cb(null, null);
-        }
+/**
+ * Deselects regions
+ * @param regions Id, array of ids or predicate function(feature, row)
+ * @returns {Choropleth}
+ */
+Choropleth.prototype.deselect = function (regions) {
+  return this.toggleRegion(regions, false);
+}
 
-        // If we already have topography data loaded, just return it.
-        if (_topo[name][layer].data) {
-          cb(null, _topo[name][layer].data);
-        }
+/**
+ * Deselects all regions
+ * @returns {Choropleth}
+ */
+Choropleth.prototype.clearSelection = function () {
+  var changed = Object.keys(this.selection).length > 0;
+  this.selection = {};
+  applySelection.call(this);
+  if (changed) {
+    trigger.call(this, 'selectionchange', this.getSelection());
+  }
+  return this;
+}
 
-        // Otherwise load data from local plugin storage in the 'topology' folder
-        // these are for now just json files
-        d3.json(_path + 'topology/' + name + '/' + _topo[name][layer].file)
-          .then(function(file) {
-            if (typeof SELF.options.alterTopography === 'function') {
-              SELF.options.alterTopography.call(SELF, file);
-            }
-            _topo[name][layer].data = file;
-            cb(null,  _topo[name][layer].data);
-          });
-      });
+/**
+ * Returns selected features
+ * @returns {Array}
+ */
+Choropleth.prototype.getSelection = function () {
+  var SELF = this;
+  return getRegionUnits.call(SELF, function (d) {
+    return !!SELF.selection[String(d.id)];
+  }).data();
+}
+
+/**
+ * Highlights regions (mimics hover), e.g. from a linked data table
+ * @param regions Id, array of ids or predicate function(feature, row); empty to clear
+ * @returns {Choropleth}
+ */
+Choropleth.prototype.highlight = function (regions) {
+  var units = this.VIEWPORT.selectAll('.layer--data').selectAll('path, circle')
+    .classed('choropleth--highlighted', false);
+  if (regions !== undefined && regions !== null) {
+    getRegionUnits.call(this, regions).classed('choropleth--highlighted', true);
   }
+  return this;
+}
 
-  /**
-   * Adds data properties to topography features.
-   * @returns {null}
-   */
-  function augmentTopography(topo, feature, data) {
-    if (typeof topo !== 'object' || typeof data !== 'object') {
-      return null;
-    }
-    if (!topo.objects.hasOwnProperty(feature)) {
-      return topo;
-    }
 
-    // create an array that maps the FIPS id's in the dataset to check against later
-    var dataFips = [];
-    for (var i = 0; i < data.length; i++) {
-      dataFips[Number(data[i].id)] = i;
-    }
+// Adds legend to the mix
+Choropleth.prototype.updateLegend = function () {
+  var SELF = this;
+  if (!this.options.legend || !this.legend) {
+    return;
+  }
 
-    for (var i = 0; i < topo.objects[feature].geometries.length; i++) {
-      var id = Number(topo.objects[feature].geometries[i].id);
-      if (dataFips.hasOwnProperty(id)) {
-        Object.assign(topo.objects[feature].geometries[i].properties, data[dataFips[id]]);
-      }
-    }
-    return topo;
+  var type = getLegendType(SELF.colorScale, SELF.options);
+  var classes = [
+    'choropleth--legend',
+    'choropleth--legend--' + type,
+    'choropleth--legend--' + SELF.options.legendOrientation
+  ];
+  if (typeof SELF.options.colorScheme === 'string') {
+    classes.push('choropleth--legend--' + SELF.options.colorScheme);
   }
+  SELF.legend.attr('class', classes.join(' '));
+  SELF.legend.selectAll('*').remove();
 
-  /**
-   * Logging
-   * @param msg Message to print
-   * @param type Type of message
-   */
-  function message(msg, type) {
-    type = type || 'info';
-    msg = msg || false;
-    if (msg) {
-      msg = 'CHOROPLETH: ' + msg;
-      console.log(msg);
-      if ('error' === type) {
-        throw new Error(msg)
-      }
+  // Title goes before the legend, definition list holds terms and descriptions only
+  var title = getLegendTitle.call(SELF);
+  if (title && !SELF.legendTitle) {
+    SELF.legendTitle = SELF.EL.insert('p', function () { return SELF.legend.node(); })
+      .attr('class', 'choropleth--legend-title');
+  }
+  if (SELF.legendTitle) {
+    SELF.legendTitle.text(title || '').style('display', title ? null : 'none');
+  }
+
+  if ('gradient' === type) {
+    renderGradientLegend.call(SELF);
+  }
+  var items = getLegendItems.call(SELF, type);
+  if ('bivariate' === type) {
+    renderBivariateLegend.call(SELF, items.filter(function (item) { return !item.noData; }));
+  }
+  items.forEach(function (item) {
+    if ('bivariate' !== type || item.noData) {
+      appendLegendItem.call(SELF, item);
     }
+  });
+
+  // Warn once per palette
+  var colors = items.filter(function (item) { return !item.noData; }).map(function (item) { return item.color; });
+  if (SELF.options.paletteCheck && colors.join() !== SELF.checkedPalette) {
+    SELF.checkedPalette = colors.join();
+    checkPalette(colors).forEach(function (issue) {
+      message('legend colors ' + issue.colors.join(' and ') + ' are hard to tell apart with ' + issue.deficiency, 'warning');
+    });
   }
+}
 
-  /**
-   * Applies defaults on top of provided settings object
-   * @param obj
-   * @returns {*}
-   */
-  //stolen from underscore.js
-  function applyDefaults(obj) {
-    Array.prototype.slice.call(arguments, 1).forEach(function(source) {
-      if (source) {
-        for (var prop in source) {
-          // Deep copy if property not set
-          if (obj[prop] == null) {
-            if (typeof source[prop] == 'function') {
-              obj[prop] = source[prop];
-            }
-            else {
-              obj[prop] = JSON.parse(JSON.stringify(source[prop]));
-            }
-          }
+/**
+ * Returns report of the last data join
+ * @returns {{matched: number, unmatchedData: Array, unmatchedFeatures: Array, duplicateData: Array}}
+ */
+Choropleth.prototype.getJoinReport = function () {
+  return this.joinReport || null;
+}
+
+/**
+ * Replaces map data and updates the map, ready promise is renewed
+ * @param data Array of rows, GeoJSON FeatureCollection, Promise of either or url of a data file
+ * @returns {Choropleth}
+ */
+Choropleth.prototype.setData = function (data) {
+  var SELF = this;
+  this.options.data = data;
+  trackLoading.call(SELF, function (done) {
+    loadData(data, SELF.options, function (err, rows) {
+      if (!err && !SELF.destroyed) {
+        try {
+          SELF.data = initSeries.call(SELF, rows);
+          SELF.update();
+        }
+        catch (e) {
+          err = e;
         }
       }
+      done(err);
     });
-    return obj;
+  });
+  return this;
+}
+
+/**
+ * Re-joins current data onto the features, recomputes color scale and
+ * re-renders data layers, labels and legend
+ * @returns {Choropleth}
+ */
+Choropleth.prototype.update = function () {
+  if (!this.topography) {
+    message('map is not rendered yet, data will be used on render');
+    return this;
   }
+  joinData.call(this, this.data);
+  this.drawDataLayer();
+  this.drawDataLayer('zones');
+  this.drawDots();
+  this.drawSymbols();
+  if (this.options.labels) {
+    this.drawLabels();
+  }
+  this.updateLegend();
+  renderTimeControls.call(this);
+  renderDescription.call(this);
+  trigger.call(this, 'update', this.data);
+  return this;
+}
 
-  /**
-   * Adds some extensions to D3
-   */
-  function extendD3() {
-    // Moves selection to front
-    d3.selection.prototype.moveToFront = function () {
-      return this.each(function () {
-        this.parentNode.appendChild(this);
-      });
-    };
+/**
+ * Resize callback
+ */
+Choropleth.prototype.resize = function() {
+  var SELF = this;
+  // adjust things when the window size changes
+  var width = SELF.getSVGWrapper().getBoundingClientRect().width,
+    height = width * SELF.options.aspectRatio,
+    ratio = width / SELF.options.width;
 
-    // Moves selection to back
-    d3.selection.prototype.moveToBack = function () {
-      return this.each(function () {
-        var firstChild = this.parentNode.firstChild;
-        if (firstChild) {
-          this.parentNode.insertBefore(this, firstChild);
-        }
-      });
-    };
-  }
+  // update projection
+  SELF.options.width = width;
+  SELF.options.height = height;
+  fitProjection.call(SELF, width, height);
 
-  /**
-   * Returns color scale based on the settings provided
-   * @param options
-   * @returns {*}
-   */
-  function getColorScale(options, data) {
-    var scale = null;
-
-    // Check if custom call back is provided
-    if (typeof options.colorScheme === 'function') {
-      return options.colorScheme(options.colorData);
-    }
-
-    // Else go over available scheme types
-    switch (options.colorScheme) {
-      case 'qualitative':
-        var domain = [], range = [];
-        for (let idx in options.colorData) {
-          if (options.colorData.hasOwnProperty(idx)) {
-            domain.push(Number(idx));
-            range.push(options.colorData[idx]);
-          }
-        }
-        scale = d3.scaleOrdinal().domain(domain).range(range);
-        break;
-      case 'grayscale':
-        var dataExtent = d3.extent(data, d => d.value);
-        scale = d3.scaleLinear().domain(dataExtent).range(['#d3d1d1', 'black']);
-        break;
-      case 'single-hue':
-      case 'part-spectral':
-      case 'full-spectral':
-      case 'bipolar':
-      default:
-        scale = d3.scaleOrdinal().domain([-1, 0, 1, 2, 3, 4, 5]).range(d3.schemeBlues[7]);
-        break;
-    }
-    return scale;
-  }
+  // resize the map container
+  this.SVG
+    .attr('width', width + 'px')
+    .attr('height', height + 'px');
 
-  /**
-   * Renders a template.
-   * Substitutes tokens of format '[[token]]' with values from supplied data object
-   *
-   * @param tpl Template string
-   * @param data Object with token:value pairs
-   * @returns {*} Rendered string
-   */
-  function renderTemplate(tpl, data) {
-    var processed = [];
-    for (var match of tpl.matchAll(/\[\[([A-z0-9_]+)]]/g)) {
-      if (processed.indexOf(match[1]) !== -1) {
-        continue;
-      }
-      processed.push(match[1]);
-      if (data.hasOwnProperty(match[1])) {
-        tpl = tpl.replaceAll(match[0], data[match[1]]);
-      }
+  // resize all layers
+  this.SVG.selectAll('.layer--data, .layer--extra').selectAll('path').attr('d', this.path);
+  renderInsetFrames.call(SELF);
+  this.SVG.selectAll('.layer--data').selectAll('circle').attrs( function(d) {
+    return renderPointXY.call(SELF, d);
+  });
+  // overlays and labels are placed in projected coordinates
+  if (this.topography) {
+    this.drawDots();
+    this.drawSymbols();
+    if (this.options.labels) {
+      this.drawLabels();
     }
-    return tpl;
   }
 
-  /**
-   * Choropleth class
-   */
-  function Choropleth(options) {
+  // keep zoomed area in view, zoom translate is in pixels of the previous size
+  if (SELF.zoom) {
+    SELF.zoom.translateExtent([[0, 0], [width, height]]);
+    if (SELF.zoomTransform && isFinite(ratio)) {
+      var t = SELF.zoomTransform;
+      SELF.SVG.call(SELF.zoom.transform, d3.zoomIdentity.translate(t.x * ratio, t.y * ratio).scale(t.k));
+    }
+  }
+  trigger.call(SELF, 'resize', width, height);
 
-    var SELF = this;
+}
 
-    // Check requirements
-    if (typeof d3 === undefined) {
-      message('D3.js version 6.x is required.')
-    }
-    else if ( typeof topojson === undefined) {
-      message('topojson is required.')
+/**
+ * Zooms map to the bounds of a feature
+ * @param feature GeoJSON feature or id of a data layer feature
+ * @returns {Choropleth}
+ */
+Choropleth.prototype.zoomTo = function (feature) {
+  var SELF = this;
+  if (!SELF.zoom) {
+    message('zoom is not enabled', 'warning');
+    return this;
+  }
+  if (typeof feature !== 'object') {
+    var units = SELF.VIEWPORT.selectAll('.layer--data path')
+      .filter(function (d) { return String(d.id) === String(feature); });
+    if (units.empty()) {
+      message('region ' + feature + ' not found', 'warning');
+      return this;
     }
+    feature = units.datum();
+  }
+  if (!feature) {
+    return this;
+  }
 
-    // D3 extensions
-    extendD3();
+  var bounds = SELF.path.bounds(feature),
+    width = SELF.options.width,
+    height = SELF.options.height,
+    dx = bounds[1][0] - bounds[0][0],
+    dy = bounds[1][1] - bounds[0][1],
+    x = (bounds[0][0] + bounds[1][0]) / 2,
+    y = (bounds[0][1] + bounds[1][1]) / 2,
+    scale = Math.max(SELF.options.zoomExtent[0], Math.min(SELF.options.zoomExtent[1], 0.9 / Math.max(dx / width, dy / height)));
 
-    // Preprocess options
-    options = options || {};
-    this.options = applyDefaults(options, defaults);
+  SELF.zoomedFeature = feature.id;
+  SELF.SVG.transition()
+    .duration(SELF.options.zoomDuration)
+    .call(SELF.zoom.transform, d3.zoomIdentity.translate(width / 2 - scale * x, height / 2 - scale * y).scale(scale));
+  return this;
+}
 
-    // Init svg
-    if (!this.options.element || d3.select(this.options.element).empty()) {
-      message('element does not exists', 'error');
-    }
-    this.EL = d3.select(this.options.element)
+/**
+ * Resets zoom to the whole map
+ * @returns {Choropleth}
+ */
+Choropleth.prototype.resetZoom = function () {
+  if (!this.zoom) {
+    return this;
+  }
+  this.zoomedFeature = null;
+  this.SVG.transition()
+    .duration(this.options.zoomDuration)
+    .call(this.zoom.transform, d3.zoomIdentity);
+  return this;
+}
 
-    this.SVG = this.EL.select('svg');
-    if (this.SVG.empty()) {
-      this.SVG = d3.select(this.options.element).append('svg');
+/**
+ * Swaps in sub-regions of a region, e.g. counties of a state
+ * @param region Feature or id of a region of the top level
+ * @returns {Choropleth}
+ */
+Choropleth.prototype.drillDown = function (region) {
+  var SELF = this, options = SELF.options;
+  // From another region the top level is shown again first, so that
+  // the transition starts from what is on screen
+  if (SELF.drillPath.length > 1) {
+    SELF.VIEWPORT.interrupt('drill');
+    restoreRoot.call(SELF);
+    if (SELF.zoom) {
+      SELF.zoomedFeature = null;
+      SELF.SVG.call(SELF.zoom.transform, d3.zoomIdentity);
     }
+    renderLevel.call(SELF);
+  }
+
+  var feature = region;
+  if (typeof region !== 'object') {
+    feature = getFeatures(options.topography, options.topographyGranularity).filter(function (d) {
+      return String(d.id) === String(region);
+    })[0];
+  }
+  if (!feature) {
+    message('region ' + region + ' not found', 'warning');
+    return this;
+  }
 
-    // Calculate sizes
-    if (this.options.aspectRatio) {
-      this.EL
-        .classed('choropleth--proportional', true)
-        .select('.choropleth--wrapper')
-        .style('padding-bottom', (this.options.aspectRatio * 100) + '%');
+  var source = options.drillDownTopography || SELF.topographyName,
+    rows = typeof options.drillDownData === 'function' ? options.drillDownData.call(SELF, feature) : options.drillDownData;
+
+  loadTopology.call(SELF, source, options.drillDownLevel, function (err, topology) {
+    if (err) {
+      reportError.call(SELF, err);
+      return;
     }
-    this.options.width = this.getSVGWrapper().getBoundingClientRect().width;
-    this.options.height = this.getSVGWrapper().getBoundingClientRect().height;
-    this.options.aspectRatio = this.options.aspectRatio || this.options.height / this.options.width;
-    this.SVG
-      .attr('width', this.options.width)
-      .attr('height', this.options.height)
-      .style('overflow', 'hidden');
+    loadData(rows, options, function (err, data) {
+      if (err) {
+        reportError.call(SELF, err);
+        return;
+      }
+      // Keep top level to come back to
+      var root = SELF.drillPath[0];
+      root.topography = SELF.topography;
+      root.data = SELF.data;
+      root.series = SELF.series;
+      root.period = SELF.period;
+      root.options = {};
+      Object.keys(options.drillDownOptions || {}).forEach(function (key) {
+        root.options[key] = options[key];
+        options[key] = options.drillDownOptions[key];
+      });
 
-    // Set projection, path and color scheme
-    this.projection = d3.geoAlbersUsa().scale([this.options.width * this.options.scaleFactor]).translate(calcCenterPoint.call(SELF));
-    this.path = d3.geoPath().projection(this.projection);
+      // Zoom the current layer in from where it is on screen, so that region fills the map, then swap the layers
+      var current = SELF.zoom ? d3.zoomTransform(SELF.SVG.node()) : d3.zoomIdentity,
+        from = SELF.path.bounds(feature);
+      SELF.topography = filterTopology(topology, options.drillDownLevel, feature.id);
+      options.topographyGranularity = options.drillDownLevel;
+      SELF.drillPath = [root, {
+        level: options.drillDownLevel,
+        id: feature.id,
+        name: feature.properties.name || String(feature.id)
+      }];
+      // Sub-regions get a time series of their own
+      SELF.data = initSeries.call(SELF, data);
+      if (SELF.zoom) {
+        SELF.zoomedFeature = null;
+        SELF.SVG.interrupt().call(SELF.zoom.transform, d3.zoomIdentity);
+      }
+      fitProjection.call(SELF);
+      var to = SELF.path.bounds(feature),
+        k = (to[1][0] - to[0][0]) / (from[1][0] - from[0][0]);
 
-    // add resizing
-    d3.select(window).on('resize', this.resize.bind(this));
+      SELF.VIEWPORT.attr('transform', current.toString())
+        .transition('drill')
+        .duration(options.zoomDuration)
+        .attr('transform', 'translate(' + (to[0][0] - from[0][0] * k) + ',' + (to[0][1] - from[0][1] * k) + ') scale(' + k + ')')
+        .on('end', function () {
+          renderLevel.call(SELF);
+          trigger.call(SELF, 'levelchange', SELF.getDrillPath());
+        });
+    });
+  });
+  return this;
+}
 
-    // Save the above into options for reference
-    this.options.projection = this.projection;
-    this.options.path = this.path;
+/**
+ * Goes back to the top level
+ * @returns {Choropleth}
+ */
+Choropleth.prototype.drillUp = function () {
+  if (this.drillPath.length < 2) {
+    return this;
+  }
+  restoreRoot.call(this);
+  if (this.zoom) {
+    this.zoomedFeature = null;
+    this.SVG.call(this.zoom.transform, d3.zoomIdentity);
+  }
+  renderLevel.call(this);
+  trigger.call(this, 'levelchange', this.getDrillPath());
+  return this;
+}
 
-    // Each new choropleth instance can redefine location, so that topography
-    // can be loaded from a custom source
-    _path = this.options.location;
+/**
+ * Returns drill down breadcrumb
+ * @returns {Array} [{level, id, name}] from the top level down
+ */
+Choropleth.prototype.getDrillPath = function () {
+  return this.drillPath.map(function (item) {
+    return {level: item.level, id: item.id, name: item.name};
+  });
+}
 
-    // Pull topography and render the map.
-    // ... when strings are supplied, we assume we need to load/provide topography
-    var loaded = getTopography.call(SELF, this.options.topography, this.options.topographyGranularity);
+/**
+ * Shows data of a period of the time series
+ * @param period Period value, e.g. 2020 or '2020'
+ * @returns {Choropleth}
+ */
+Choropleth.prototype.seek = function (period) {
+  var idx = getPeriodIndex.call(this, period);
+  if (idx === -1) {
+    message('period ' + period + ' is not in the data', 'warning');
+    return this;
+  }
+  var changed = this.series.periods[idx] !== this.period;
+  this.period = this.series.periods[idx];
+  this.data = this.series.groups.get(this.period);
+  if (this.topography) {
+    this.update();
+  }
+  if (changed) {
+    trigger.call(this, 'periodchange', this.period, idx);
+  }
+  return this;
+}
 
-    // Wait for data to be loaded
-    loaded.await(function (err, data, topography) {
-      SELF.colorScale = getColorScale(SELF.options, data);
-      SELF.options.colorScale = SELF.colorScale;
-      // replace topography option with loaded objects
-      topography = mergeDeep(topography, SELF.options.topologyAdditions);
-      topography = augmentTopography(topography, SELF.options.topographyGranularity, data);
-      SELF.options.topography = augmentTopography(topography, 'zones', data);
-      _render();
-    });
-
-    /**
-     * Renders entire map.
-     * This method is called from constructor
-     * For updating map or rendering specific layer use proto methods
-     */
-    function _render() {
-      message('rendering...');
-      // render data layer
-      SELF.drawDataLayer();
-      SELF.drawDataLayer('zones');
-      // render additional layers ?
-      for (var i = 0; i <= SELF.options.extraLayers.length; i++) {
-        SELF.drawLayer(SELF.options.extraLayers[i] );
-      }
-      // render labels
-      if (SELF.options.labels) {
-        SELF.drawLabels();
-      }
-      // render tooltips ()
-      if (SELF.options.tooltip) {
-        SELF.tooltip = d3.select('body').append('div').attr('class', 'choropleth--tooltip');
-      }
-      // render callouts
-      // render legend
-      if (SELF.options.legend) {
-        SELF.legend = SELF.EL.append('dl').attr('class', 'choropleth--legend');
-        SELF.updateLegend();
-      }
+/**
+ * Plays the time series from the current period, or from the start when at the last one
+ * @returns {Choropleth}
+ */
+Choropleth.prototype.play = function () {
+  var SELF = this;
+  if (!SELF.series || SELF.playing || SELF.series.periods.length < 2) {
+    return this;
+  }
+  if (getPeriodIndex.call(SELF, SELF.period) === SELF.series.periods.length - 1) {
+    SELF.seek(SELF.series.periods[0]);
+  }
+  SELF.playing = true;
+  SELF.timer = d3.interval(function () {
+    var idx = getPeriodIndex.call(SELF, SELF.period) + 1, last = SELF.series.periods.length - 1;
+    if (idx > last) {
+      idx = 0;
     }
+    // Stopped before the update, so that controls show the paused state
+    if (idx === last && !SELF.options.timeLoop) {
+      SELF.pause();
+    }
+    SELF.seek(SELF.series.periods[idx]);
+  }, SELF.options.timeInterval);
+  renderTimeControls.call(SELF);
+  return this;
+}
+
+/**
+ * Pauses time series playback
+ * @returns {Choropleth}
+ */
+Choropleth.prototype.pause = function () {
+  if (this.timer) {
+    this.timer.stop();
+    this.timer = null;
   }
+  if (this.playing) {
+    this.playing = false;
+    renderTimeControls.call(this);
+  }
+  return this;
+}
 
-  // Proxy to logging
-  Choropleth.prototype.log = message;
+/**
+ * Returns periods of the time series
+ * @returns {Array}
+ */
+Choropleth.prototype.getPeriods = function () {
+  return this.series ? this.series.periods.slice() : [];
+}
 
-  // Allows to select (mimic hover) a reagion
-  Choropleth.prototype.toggleRegion = function(id, status) {
-    var d = this.SVG.select('.region[region-id="' + id + "]");
-    if (d.length) {
-      console.log(d);
+/**
+ * Draws a reference layer, replacing the layer of the same name.
+ * Layers loaded from a url or the topology set are drawn once loaded,
+ * failures trigger the error event.
+ * @param layer Topology object name or definition, see extraLayers option
+ * @returns {Choropleth}
+ */
+Choropleth.prototype.drawLayer = function(layer) {
+  var SELF = this;
+  layer = getLayerDefinition(layer);
+  loadLayer.call(SELF, layer, function (err, topology) {
+    if (SELF.destroyed) {
+      return;
     }
-    // Toggle
-    if (typeof status === 'undefined') {
+    if (!err && !topology.objects.hasOwnProperty(layer.name)) {
+      err = new Error('layer ' + layer.name + ' is not in the topology');
     }
-    // ..or switch
-    else {
-
+    if (err) {
+      reportError.call(SELF, err);
+      return;
     }
+    SELF.VIEWPORT.selectAll('g.layer--extra')
+      .filter(function (d) { return d.name === layer.name; })
+      .remove();
+    var paths = SELF.VIEWPORT.append('g')
+      .datum(layer)
+      .attr('class', 'layer layer--extra layer--' + layer.name + (layer.className ? ' ' + layer.className : ''))
+      .attr('display', layer.visible ? null : 'none')
+      .selectAll('path')
+      .data(getLayerShapes(layer, topology))
+      .enter().append('path')
+      .attr('d', SELF.path)
+      .attr('class', layer.name);
+    Object.keys(layer.style || {}).forEach(function (prop) {
+      paths.style(prop, layer.style[prop]);
+    });
+    orderLayers.call(SELF);
+  });
+  return this;
+}
+
+/**
+ * Shows or hides a reference layer
+ * @param name Layer name
+ * @param status Optional, shows or hides the layer instead of toggling
+ * @returns {Choropleth}
+ */
+Choropleth.prototype.toggleLayer = function (name, status) {
+  this.VIEWPORT.selectAll('g.layer--extra')
+    .filter(function (d) { return d.name === name; })
+    .each(function (d) {
+      d.visible = typeof status === 'undefined' ? !d.visible : !!status;
+      d3.select(this).attr('display', d.visible ? null : 'none');
+    });
+  return this;
+}
+
+/**
+ * Draws data layer of the map
+ * @param layerName Optional
+ */
+Choropleth.prototype.drawDataLayer = function(layerName) {
+  layerName = layerName || this.options.topographyGranularity;
+
+  var SELF = this, cb = _mapping[layerName] || renderPath;
+  if (!SELF.options.topography.objects.hasOwnProperty(layerName)) {
+    message('Data layer not found', 'warning');
+    return;
   }
 
+  var layer = SELF.SVG.select('g.layer--data.layer--' + layerName);
+  if (layer.empty()) {
+    layer = SELF.VIEWPORT.append('g').attr('class', 'layer layer--data layer--' + layerName);
+    orderLayers.call(SELF);
+  }
+  var layerData = getFeatures(SELF.options.topography, layerName);
+  // Layer callback - ad-hoc and needs to be replaced
+  layer = cb.call(SELF, layer, layerName, layerData);
+  applySelection.call(SELF);
+  // Regions the projection leaves out have no shape
+  reportHiddenRegions.call(SELF, layer.filter(function (d) {
+    return 'path' === this.nodeName && !this.getAttribute('d') && hasData.call(SELF, d);
+  }).data().map(getUnitKey), layerName);
 
-  // Adds legend to the mix
-  Choropleth.prototype.updateLegend = function () {
-    var SELF = this;
-    if (!this.options.legend) {
-      return;
-    }
+  // Region events, tooltips are shown for regions with value or with noDataTemplate
+  layer
+    .on('mouseenter.choropleth', function (e, obj) {
+      showTooltip.call(SELF, this, obj, e);
+      trigger.call(SELF, 'mouseenter', e, obj, getDataRow.call(SELF, obj));
+    })
+    .on('mouseleave.choropleth', function (e, obj) {
+      hideTooltip.call(SELF, this, obj);
+      trigger.call(SELF, 'mouseleave', e, obj, getDataRow.call(SELF, obj));
+    })
+    .on('click.choropleth', function (e, obj) {
+      trigger.call(SELF, 'click', e, obj, getDataRow.call(SELF, obj));
+    })
+    .on('dblclick.choropleth', function (e, obj) {
+      trigger.call(SELF, 'dblclick', e, obj, getDataRow.call(SELF, obj));
+    });
 
-    // Legend varies based on the color scheme
-    // @todo - determine the ways of generating various combinations of
-    // scales and classifications
+  // Click to select
+  if (SELF.options.clickToSelect) {
+    layer.on('click.select', function (e, obj) {
+      SELF.toggleRegion(obj.id);
+    });
+  }
 
-    // Render simple legend
-    if (
-      SELF.options.colorScheme == 'qualitative' ||
-      SELF.options.colorScheme == 'grayscale'
-    ) {
-      SELF.legend.attr('class', 'choropleth--legend choropleth--legend--' + SELF.options.colorScheme);
-      for (var v of this.colorScale.domain()) {
-        var c = SELF.colorScale(v);
-        if (
-          SELF.options.hasOwnProperty('legendLabels') &&
-          SELF.options.legendLabels != null &&
-          SELF.options.legendLabels.hasOwnProperty(v))
-        {
-          var l = SELF.options.legendLabels[v];
-        } else {
-          var l = v.toString();
-        }
+  if (SELF.options.keyboard && layerName === SELF.options.topographyGranularity) {
+    initKeyboard.call(SELF, layer);
+  }
+
+  // Drill down into a region
+  var drillable = SELF.options.drillDown && !SELF.options.groups && SELF.drillPath.length === 1
+    && layerName === SELF.options.topographyGranularity;
+  if (drillable) {
+    layer.on('click.drill', function (e, obj) {
+      SELF.drillDown(obj);
+    });
+  }
 
-        SELF.legend.append('dt').attr('class', 'choropleth--legend-value').style('background-color', c);
-        SELF.legend.append('dd').attr('class', 'choropleth--legend-label').html(l);
+  // Click to zoom, second click on the same region zooms back out
+  if (SELF.zoom && SELF.options.zoomToRegion && !drillable) {
+    layer.on('click.zoom', function (e, obj) {
+      if (SELF.zoomedFeature === obj.id) {
+        SELF.resetZoom();
       }
-    }
-    // Render band legend (band scale)
-    else {
+      else {
+        SELF.zoomTo(obj);
+      }
+    });
+  }
+}
 
-    }
+/**
+ * Draws proportional symbols sized by symbolField, removes them when it is not set
+ * @returns {Choropleth}
+ */
+Choropleth.prototype.drawSymbols = function () {
+  var SELF = this, options = SELF.options,
+    layerName = options.symbolLayer || options.topographyGranularity,
+    layer = SELF.VIEWPORT.select('g.layer--symbols');
 
+  if (!options.symbolField || !options.topography.objects.hasOwnProperty(layerName)) {
+    layer.remove();
+    SELF.sizeScale = null;
+    renderOverlayLegend.call(SELF);
+    return this;
+  }
+  if (layer.empty()) {
+    layer = SELF.VIEWPORT.append('g').attr('class', 'layer layer--symbols');
   }
+  // Above regions and dots, below labels
+  layer.raise();
+  SELF.VIEWPORT.selectAll('.layer--labels').raise();
 
-  /**
-   * Resize callback
-   */
-  Choropleth.prototype.resize = function() {
-    var SELF = this;
-    // adjust things when the window size changes
-    var width = SELF.getSVGWrapper().getBoundingClientRect().width,
-      height = width * SELF.options.aspectRatio;
+  var symbols = getSymbols.call(SELF, layerName);
+  SELF.sizeScale = d3.scaleSqrt()
+    .domain([0, d3.max(symbols, function (d) { return d.value; }) || 1])
+    .range([0, options.symbolMaxRadius]);
+  symbols.forEach(function (d) {
+    d.r = SELF.sizeScale(d.value);
+  });
+  if (options.symbolCollide) {
+    collideSymbols(symbols);
+  }
+  // Smaller symbols on top
+  symbols.sort(function (a, b) { return b.r - a.r; });
 
-    // update projection
-    this.projection.translate(calcCenterPoint.call(SELF, width, height)).scale([width * this.options.scaleFactor]);
+  var units = layer.selectAll('circle').data(symbols, getUnitKey);
+  units.exit().remove();
+  units.transition('size')
+    .duration(options.transitionDuration)
+    .attr('r', getSymbolRadius.bind(SELF));
+  units.enter().append('circle')
+    .attr('r', getSymbolRadius.bind(SELF))
+    .merge(units)
+    .order()
+    .attr('class', function (d) { return applyUnitClasses.call(SELF, d.feature, 'symbols'); })
+    .attr('cx', function (d) { return d.x; })
+    .attr('cy', function (d) { return d.y; })
+    .style('fill', options.symbolFill)
+    .on('mouseenter.choropleth', function (e, d) {
+      showTooltip.call(SELF, this, d.feature, e);
+      trigger.call(SELF, 'mouseenter', e, d.feature, getDataRow.call(SELF, d.feature));
+    })
+    .on('mouseleave.choropleth', function (e, d) {
+      hideTooltip.call(SELF, this, d.feature);
+      trigger.call(SELF, 'mouseleave', e, d.feature, getDataRow.call(SELF, d.feature));
+    });
 
-    // resize the map container
-    this.SVG
-      .attr('width', width + 'px')
-      .attr('height', height + 'px');
+  renderOverlayLegend.call(SELF);
+  return this;
+}
 
-    // resize all layers
-    this.SVG.selectAll('.layer--data').selectAll('path').attr('d', this.path);
-    this.SVG.selectAll('.layer--data').selectAll('circle').attrs( function(d) {
-      return renderPointXY.call(SELF, d);
-    });
+/**
+ * Draws dot density overlay, a dot per dotValue of dotField scattered within
+ * each region; removes it when dotField is not set
+ * @returns {Choropleth}
+ */
+Choropleth.prototype.drawDots = function () {
+  var SELF = this, options = SELF.options, layer = SELF.VIEWPORT.select('g.layer--dots');
 
+  if (!options.dotField) {
+    layer.remove();
+    renderOverlayLegend.call(SELF);
+    return this;
+  }
+  if (layer.empty()) {
+    layer = SELF.VIEWPORT.append('g').attr('class', 'layer layer--dots');
   }
+  layer.raise();
+  SELF.VIEWPORT.selectAll('.layer--labels').raise();
 
-  /**
-   * Draws a layer
-   * Usually layer of topography features from the selected topography object
-   * @param layer
-   */
-  Choropleth.prototype.drawLayer = function(layer) {
-    // if (top.)
-    this.SVG.append('g')
-      .attr('class', 'layer layer--' + layer)
-      .selectAll("path")
-      .data(topojson.feature(us, us.objects[layer]).features)
-      .enter().append("path")
-      .attr("d", path)
-      .attr('class', layer)
-      .style("position", 'relative');
+  var dots = [];
+  getFeatures(options.topography, options.topographyGranularity).forEach(function (d) {
+    var value = Number(d.properties[options.dotField]);
+    if (value > 0) {
+      dots = dots.concat(scatterDots.call(SELF, d, Math.round(value / options.dotValue)));
+    }
+  });
+  if (dots.length > 100000) {
+    message(dots.length + ' dots are drawn, consider larger dotValue', 'warning');
   }
 
-  /**
-   * Draws data layer of the map
-   * @param layerName Optional
-   */
-  Choropleth.prototype.drawDataLayer = function(layerName) {
-    layerName = layerName || this.options.topographyGranularity;
+  var units = layer.selectAll('circle').data(dots);
+  units.exit().remove();
+  units.enter().append('circle')
+    .merge(units)
+    .attr('cx', function (d) { return d[0]; })
+    .attr('cy', function (d) { return d[1]; })
+    .attr('r', getDotRadius.bind(SELF))
+    .style('fill', options.dotFill);
+
+  renderOverlayLegend.call(SELF);
+  return this;
+}
 
-    var SELF = this, cb = _mapping[layerName];
-    if (!SELF.options.topography.objects.hasOwnProperty(layerName)) {
-      message('Data layer not found', 'warning');
+/**
+ * Draws labels on the map: placed by labelsPlacement, small regions called out,
+ * overlapping labels hidden
+ * @param name
+ * @returns {Choropleth}
+ */
+Choropleth.prototype.drawLabels = function(name) {
+  name = name || this.options.topographyGranularity;
+  var SELF = this;
+  // Labels are rebuilt on each data update
+  SELF.SVG.selectAll('.layer--labels').remove();
+  var layer = SELF.VIEWPORT.append('g').attr('class', 'layer layer--labels');
+
+  // Labels are measured by a hidden text element with the same styles
+  var probe = layer.append('text').attr('class', 'label').attr('visibility', 'hidden');
+  var labels = layoutLabels.call(SELF, getFeatures(SELF.options.topography, name), function (label) {
+    return measureLabel(probe.text(label.text).node(), label.text);
+  });
+  probe.remove();
+
+  layer.selectAll('line')
+    .data(labels.filter(function (label) { return label.callout; }))
+    .enter()
+    .append('line')
+    .attr('class', 'label-leader')
+    .attr('x1', function (label) { return label.anchor[0]; })
+    .attr('y1', function (label) { return label.anchor[1]; })
+    .attr('x2', getLeaderEnd.bind(SELF))
+    .attr('y2', function (label) { return label.y; });
+  layer.selectAll('text')
+    .data(labels)
+    .enter()
+    .append('text')
+    .attr('class', function (label) { return label.callout ? 'label label--callout' : 'label'; })
+    .attr('transform', getLabelTransform.bind(SELF))
+    .attr('dy', '0.35em')
+    .attr("fill", "black")
+    .style("text-anchor", function (label) { return label.callout ? 'start' : 'middle'; })
+    .text(function (label) { return label.text; });
+  updateLabels.call(SELF);
+  return this;
+}
+
+/**
+ * Subscribes to events
+ * Region events (mouseenter, mouseleave, click, dblclick) callbacks receive
+ * event, feature, its data row and the map instance.
+ * @param typenames Event types, optionally namespaced: 'click.analytics'
+ * @param cb
+ * @returns {Choropleth}
+ */
+Choropleth.prototype.on = function(typenames, cb) {
+  var SELF = this;
+  parseEventTypenames(typenames).forEach(function (t) {
+    if (_events.indexOf(t.type) === -1) {
+      message('unknown event ' + t.type, 'warning');
       return;
     }
+    if (!SELF.subscribers[t.type]) {
+      SELF.subscribers[t.type] = [];
+    }
+    SELF.subscribers[t.type].push({name: t.name, cb: cb});
+  });
+  return this;
+}
 
-    var layer = SELF.SVG.append('g').attr('class', 'layer layer--data layer--' + layerName),
-      layerData = topojson.feature(SELF.options.topography, SELF.options.topography.objects[layerName]).features;
-    // Layer callback - ad-hoc and needs to be replaced
-    layer = cb.call(SELF, layer, layerName, layerData);
+/**
+ * Unsubscribes from events
+ * @param typenames Event types and/or namespaces: 'click', 'click.analytics', '.analytics'
+ * @param cb Optional, removes only this callback
+ * @returns {Choropleth}
+ */
+Choropleth.prototype.off = function(typenames, cb) {
+  var SELF = this;
+  parseEventTypenames(typenames).forEach(function (t) {
+    (t.type ? [t.type] : Object.keys(SELF.subscribers)).forEach(function (type) {
+      SELF.subscribers[type] = (SELF.subscribers[type] || []).filter(function (subscriber) {
+        return (t.name && subscriber.name !== t.name) || (cb && subscriber.cb !== cb);
+      });
+    });
+  });
+  return this;
+}
 
-    // Add tooltips
-    if (SELF.options.tooltip) {
-      layer
-        .filter(filterByProperty.bind(null, 'value', null))
-        .on('mouseover', function (e, obj) {
-          var coords = getRelativeCoordinates.call(SELF, e);
-          var sel = d3.select(this);
-          sel.transition()
-            .duration(100)
-            .style('opacity', '0.7');
-          SELF.tooltip.html(renderTemplate(SELF.options.tooltipTemplate, obj.properties))
-            .style('left', (coords.x + 15) + "px")
-            .style('top', (coords.y + 30) + "px")
-            .style('display', 'block');
-        })
-        .on('mouseout', function (e, obj) {
-          var sel = d3.select(this);
-          sel.transition()
-            .duration(100)
-            .style('opacity', '1')
-          SELF.tooltip.style('display', 'none');
-        })
-        .on('click', function (e, obj) {
-          if (!subscribers['click']) {
-            return;
-          }
-          subscribers['click'].forEach( function(cb) {
-            cb.call(SELF, e, obj);
-          });
-        })
+/**
+ * Exports the map as it is displayed, with styles inlined and legend
+ * appended below the map
+ * @returns {string} SVG markup
+ */
+Choropleth.prototype.exportSVG = function () {
+  var SELF = this, source = SELF.SVG.node(), clone = source.cloneNode(true),
+    width = SELF.options.width, height = SELF.options.height,
+    legend = SELF.options.legend && SELF.colorScale ? renderLegendSVG.call(SELF, 10, height + 10, width - 20) : null,
+    totalHeight = height + (legend && legend.height ? legend.height + 20 : 0);
+
+  inlineStyles(source, clone);
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', totalHeight);
+  clone.setAttribute('viewBox', '0 0 ' + width + ' ' + totalHeight);
+
+  var markup = new XMLSerializer().serializeToString(clone);
+  if (markup.indexOf('xmlns=') === -1) {
+    markup = markup.replace(/^<svg/, '<svg xmlns="' + _svgNS + '"');
+  }
+  if (legend) {
+    markup = markup.replace(/<\/svg>\s*$/, legend.markup + '</svg>');
+  }
+  return markup;
+}
+
+/**
+ * Exports the map as PNG image
+ * @param options {scale, background}
+ * @returns {Promise<Blob>}
+ */
+Choropleth.prototype.exportPNG = function (options) {
+  var markup = this.exportSVG();
+  options = Object.assign({scale: 1, background: 'white'}, options);
+  return new Promise(function (resolve, reject) {
+    var img = new Image(),
+      url = URL.createObjectURL(new Blob([markup], {type: 'image/svg+xml;charset=utf-8'}));
+    img.onload = function () {
+      var canvas = document.createElement('canvas'), ctx = canvas.getContext('2d');
+      canvas.width = img.width * options.scale;
+      canvas.height = img.height * options.scale;
+      if (options.background) {
+        ctx.fillStyle = options.background;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+      }
+      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob(resolve, 'image/png');
+    };
+    img.onerror = function () {
+      URL.revokeObjectURL(url);
+      reject(new Error('CHOROPLETH: PNG export failed'));
+    };
+    img.src = url;
+  });
+}
+
+/**
+ * Removes the map: listeners, tooltip, legend, controls and SVG
+ */
+Choropleth.prototype.destroy = function () {
+  if (this.resizeObserver) {
+    this.resizeObserver.disconnect();
+  }
+  d3.select(window).on('resize.choropleth-' + this.uid, null);
+  this.SVG.interrupt().on('.zoom', null);
+  this.VIEWPORT.selectAll('*').interrupt();
+  this.pause();
+  [this.tooltip, this.legendTitle, this.legend, this.timeControls, this.overlayLegend, this.dataTable, this.breadcrumb, this.EL.select('.choropleth--zoom-reset'), this.SVG].forEach(function (el) {
+    if (el) {
+      el.remove();
     }
+  });
+  this.EL
+    .classed('choropleth--zoomable', false)
+    .classed('choropleth--proportional', false)
+    .classed('choropleth--loading', false)
+    .classed('choropleth--error', false);
+  if (this.containerPosition !== undefined) {
+    this.EL.style('position', this.containerPosition || null);
   }
+  this.subscribers = {};
+  this.destroyed = true;
+  var idx = _instances.indexOf(this);
+  if (idx !== -1) {
+    _instances.splice(idx, 1);
+  }
+}
 
-  /**
-   * Draws labels on the map
-   * @param name
-   */
-  Choropleth.prototype.drawLabels = function(name) {
-    name = name || this.options.topographyGranularity;
-    var SELF = this;
-    // Draw parish name
-    SELF.SVG.append('g')
-      .attr('class', 'layer layer--labels')
-      .selectAll('.label')
-      .data(topojson.feature(SELF.options.topography, SELF.options.topography.objects[name]).features)
-      .enter()
-      .filter(filterByProperty.bind(null, 'value', null))
-      .append('text')
-      .each(function (d) {
-        // Excluded labels
-        // @todo make configurable
-        if ("78" === d.id || "72" === d.id) {
-          return null;
-        }
-        d3.select(this)
-          .attr("transform", function (d) {
-            return "translate(" + SELF.path.centroid(d) + ")";
-          })
-          // .attr("dx", "-3em")
-          // .attr("dy", "-0.5em")
-          .attr("fill", "black")
-          .style("text-anchor", "middle")
-          .text(function (d) {
-            if (d.properties.hasOwnProperty(SELF.options.labelsSource)) {
-              return d.properties[SELF.options.labelsSource];
-            }
-            else {
-              return d.properties.name;
-            }
-          });
+Choropleth.prototype.getSVGWrapper = function() {
+  return this.options.aspectRatio ? this.EL.select('.choropleth--wrapper').node() : this.EL.select('.choropleth--wrapper').node();
+}
+
+
+/**
+ * Small multiples: grid of maps sharing a single color scale and legend,
+ * with hover highlighting synced across panels
+ */
+function SmallMultiples(options) {
+  var SELF = this;
+
+  options = options || {};
+  this.options = applyDefaults(options, multiplesDefaults, defaults);
+  this.subscribers = {};
+  this.maps = [];
+
+  if (!this.options.element || d3.select(this.options.element).empty()) {
+    message('element does not exists', 'error');
+  }
+  this.EL = d3.select(this.options.element).classed('choropleth--multiples', true);
+  this.GRID = this.EL.append('div')
+    .attr('class', 'choropleth--multiples-grid')
+    .style('grid-template-columns', 'repeat(' + this.options.columns + ', 1fr)');
+
+  var sources = this.options.panels.map(function (panel) { return panel.data; });
+  trackLoading.call(SELF, function (done) {
+    loadDatasets(sources, SELF.options, function (err, datasets) {
+      if (err || SELF.destroyed) {
+        done(err);
+        return;
+      }
+      SELF.datasets = datasets;
+      SELF.colorScale = getSharedColorScale.call(SELF);
+      SELF.options.panels.forEach(function (panel, idx) {
+        SELF.maps.push(createPanel.call(SELF, panel, datasets[idx]));
       });
+      if (SELF.options.legend) {
+        SELF.legend = SELF.EL.append('dl').attr('class', 'choropleth--legend');
+        SELF.updateLegend();
+      }
+      trigger.call(SELF, 'render');
+      done(null);
+    });
+  });
+}
+
+/**
+ * Loads all datasets
+ * @param sources Data of each panel, see data option
+ * @param options {dataFormat, row}
+ * @param cb Node-style callback with the loaded datasets
+ */
+function loadDatasets(sources, options, cb) {
+  var loading = queue();
+  sources.forEach(function (source) {
+    loading.defer(function (done) {
+      loadData(source, options, done);
+    });
+  });
+  loading.awaitAll(function (err, datasets) {
+    cb(err || null, datasets || []);
+  });
+}
+
+/**
+ * Color scale classifying data of all panels together, rows are taken
+ * the way panels join them: aggregated into groups and of the current period
+ * @returns {*}
+ */
+function getSharedColorScale() {
+  var SELF = this, rows = [];
+  SELF.datasets.forEach(function (dataset, idx) {
+    var panel = {options: Object.assign({}, SELF.options, (SELF.options.panels[idx] || {}).options)},
+      data = initSeries.call(panel, dataset);
+    rows = rows.concat((panel.series && 'fixed' === panel.options.timeScale ? panel.series.rows : data) || []);
+  });
+  return getColorScale(SELF.options, rows);
+}
+
+/**
+ * Renders a panel map
+ * @param panel {title, data}
+ * @param data Loaded panel data
+ * @returns {Choropleth}
+ */
+function createPanel(panel, data) {
+  var SELF = this,
+    node = SELF.GRID.append('div').attr('class', 'choropleth--panel');
+  if (panel.title) {
+    node.append('div').attr('class', 'choropleth--panel-title').text(panel.title);
   }
+  node.append('div').attr('class', 'choropleth--wrapper');
 
-  Choropleth.prototype.on = function(e, cb) {
-    if (!['click'].includes(e)) {
-      return;
+  var options = Object.assign({}, SELF.options, panel.options, {
+    element: node.node(),
+    data: data,
+    // rows are parsed already
+    row: null,
+    legend: false,
+    // panels use the shared scale through the custom scheme callback
+    colorScheme: function () {
+      return SELF.colorScale;
     }
-    var SELF = this;
-    if (!subscribers[e]) {
-      subscribers[e] = [];
+  });
+  Object.keys(multiplesDefaults).forEach(function (key) {
+    if ('aspectRatio' !== key) {
+      delete options[key];
     }
+  });
 
-    subscribers[e].push(cb);
-  }
+  var map = new Choropleth(options);
+  ['mouseenter', 'mouseleave', 'click'].forEach(function (type) {
+    map.on(type + '.multiples', function (e, feature, row) {
+      if (SELF.options.syncHover && 'click' !== type) {
+        SELF.highlight('mouseenter' === type ? feature.id : null);
+      }
+      trigger.call(SELF, type, e, feature, row, map);
+    });
+  });
+  return map;
+}
 
-  Choropleth.prototype.getSVGWrapper = function() {
-    return this.options.aspectRatio ? this.EL.select('.choropleth--wrapper').node() : this.EL.select('.choropleth--wrapper').node();
-  }
+// Shared with Choropleth, legend uses options, colorScale and legend element only
+SmallMultiples.prototype.updateLegend = Choropleth.prototype.updateLegend;
+SmallMultiples.prototype.on = Choropleth.prototype.on;
+SmallMultiples.prototype.off = Choropleth.prototype.off;
+
+/**
+ * Replaces data of all panels and recomputes the shared scale
+ * @param datasets Data per panel, in order of panels
+ * @returns {SmallMultiples}
+ */
+SmallMultiples.prototype.setData = function (datasets) {
+  var SELF = this;
+  trackLoading.call(SELF, function (done) {
+    loadDatasets(datasets, SELF.options, function (err, loaded) {
+      if (!err && !SELF.destroyed) {
+        SELF.datasets = loaded;
+        SELF.colorScale = getSharedColorScale.call(SELF);
+        SELF.maps.forEach(function (map, idx) {
+          map.setData(loaded[idx]);
+        });
+        SELF.updateLegend();
+        trigger.call(SELF, 'update', loaded);
+      }
+      done(err);
+    });
+  });
+  return this;
+}
+
+/**
+ * Highlights regions in all panels
+ * @param regions Id, array of ids or predicate function(feature, row); empty to clear
+ * @returns {SmallMultiples}
+ */
+SmallMultiples.prototype.highlight = function (regions) {
+  this.maps.forEach(function (map) {
+    map.highlight(regions);
+  });
+  return this;
+}
+
+/**
+ * Removes all panels and the shared legend
+ */
+SmallMultiples.prototype.destroy = function () {
+  this.destroyed = true;
+  this.maps.forEach(function (map) {
+    map.destroy();
+  });
+  this.maps = [];
+  this.GRID.remove();
+  [this.legendTitle, this.legend].forEach(function (el) {
+    if (el) {
+      el.remove();
+    }
+  });
+  this.EL
+    .classed('choropleth--multiples', false)
+    .classed('choropleth--loading', false)
+    .classed('choropleth--error', false);
+  this.subscribers = {};
+}
 
 
-  window.Choropleth = Choropleth;
-  window.ChoroplethAPI = {
-    getInstance: getInstance,
+/**
+ * Checks element against a selector, invalid selectors do not match
+ * @param node
+ * @param selector
+ * @returns {boolean}
+ */
+function matchesSelector(node, selector) {
+  try {
+    return node === document.querySelector(selector);
   }
+  catch (e) {
+    return false;
+  }
+}
 
-  function getInstance() {
-    return null;
+/**
+ * Finds a live instance
+ * @param idOrElement Container element, its selector or id, or instance uid
+ * @returns {Choropleth|null}
+ */
+function getInstance(idOrElement) {
+  for (var i = 0; i < _instances.length; i++) {
+    var instance = _instances[i], node = instance.EL.node();
+    if (
+      instance.uid === idOrElement ||
+      instance.options.element === idOrElement ||
+      node === idOrElement ||
+      (typeof idOrElement === 'string' && (node.id === idOrElement || matchesSelector(node, idOrElement)))
+    ) {
+      return instance;
+    }
   }
+  return null;
+}
+
+var ChoroplethAPI = {
+  getInstance: getInstance,
+  registerTopology: registerTopology,
+  renderSVG: renderSVG,
+  checkPalette: checkPalette,
+}
 
-})(window, jQuery);
+export {
+  Choropleth,
+  SmallMultiples as ChoroplethSmallMultiples,
+  ChoroplethAPI,
+  getInstance,
+  registerTopology,
+  renderSVG,
+  checkPalette
+};
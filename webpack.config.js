@@ -1,29 +1,64 @@
 const path = require('path');
 
-module.exports = {
-  mode: 'production',
-  entry: ['./src/index.js'],
-  output: {
-    filename: 'choropleth.js',
-    path: path.resolve(__dirname, 'dist')
-  },
-  module: {
-    rules: [
-      {
-        test: /\.js$/,
-        exclude: /(node_modules|bower_components)/,
-        use: {
-          loader: 'babel-loader',
-          options: {
-            presets: [ '@babel/preset-env'],
-            plugins: ['@babel/plugin-transform-runtime']
-          },
+// d3 and topojson are not bundled: imported by ESM/CommonJS consumers,
+// taken from globals set by script tags in the UMD bundle
+const dependencies = {
+  'd3': 'd3',
+  'd3-queue': 'd3',
+  'topojson-client': 'topojson'
+};
+
+function getExternals(type) {
+  return Object.keys(dependencies).reduce(function (externals, name) {
+    externals[name] = 'umd' === type
+      ? {root: dependencies[name], commonjs: name, commonjs2: name, amd: name}
+      : name;
+    return externals;
+  }, {});
+}
+
+function getConfig(type, filename) {
+  const config = {
+    mode: 'production',
+    entry: ['./src/index.js'],
+    output: {
+      filename: filename,
+      path: path.resolve(__dirname, 'dist'),
+      library: {type: type}
+    },
+    externals: getExternals(type),
+    module: {
+      rules: [
+        {
+          test: /\.js$/,
+          exclude: /(node_modules|bower_components)/,
+          use: {
+            loader: 'babel-loader',
+            options: {
+              presets: [ '@babel/preset-env'],
+              plugins: ['@babel/plugin-transform-runtime']
+            },
+          }
+        },
+        {
+          test: /\.css$/,
+          type: 'asset'
         }
-      },
-			{
-				test: /\.css$/,
-				type: 'asset'
-			}
-    ]
+      ]
+    }
+  };
+  if ('module' === type) {
+    // browserslist targets IE 11, which has no import statements
+    config.target = ['web', 'es2020'];
+    config.experiments = {outputModule: true};
+    config.externalsType = 'module';
   }
+  return config;
 }
+
+module.exports = [
+  // Script tags: exports Choropleth, ChoroplethSmallMultiples and ChoroplethAPI as globals
+  getConfig('umd', 'choropleth.js'),
+  getConfig('commonjs2', 'choropleth.cjs.js'),
+  getConfig('module', 'choropleth.mjs')
+];